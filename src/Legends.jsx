@@ -0,0 +1,116 @@
+import { COLOR_SCALES, rainbowColor, scaleGradient, scaleFraction } from './colorScales';
+
+// Colour keys for the image types whose colours need explaining, attached to
+// their types in imageTypes.js. Kept apart from the component so a grid of
+// structures can show a single shared legend.
+
+// Legend entries per image type. `color` duplicates the stylesheet swatch so
+// exported figures can draw the legend without the page CSS.
+export const LEGEND_SECTIONS = {
+  rscape: [
+    {
+      label: 'Colours',
+      items: [
+        { swatch: 'significant-basepair', color: '#31a354', label: 'Statistically significant basepair with covariation' },
+        { swatch: 'conserved-97', color: '#d90000', label: '97% conserved nucleotide' },
+        { swatch: 'conserved-90', color: '#000000', label: '90% conserved nucleotide' },
+        { swatch: 'conserved-75', color: '#807b88', label: '75% conserved nucleotide' },
+        { swatch: 'conserved-50', color: '#ffffff', label: '50% conserved nucleotide' },
+      ],
+    },
+    {
+      label: 'Nucleotides',
+      items: [
+        { code: 'R', label: 'A or G' },
+        { code: 'Y', label: 'C or U' },
+      ],
+    },
+  ],
+  rchie: [
+    {
+      label: 'Arc colours',
+      items: [
+        { swatch: 'arc-full', color: '#e31a1c', label: '100% canonical basepair' },
+        { swatch: 'arc-half', color: '#feb24c', label: '50%' },
+        { swatch: 'arc-none', color: '#ffeda0', label: '0%' },
+      ],
+    },
+    {
+      label: 'Nucleotide colours',
+      items: [
+        { swatch: 'nuc-valid', color: '#31a354', label: 'Valid basepairing' },
+        { swatch: 'nuc-two-sided', color: '#3182bd', label: 'Two-sided covariation' },
+        { swatch: 'nuc-one-sided', color: '#9ecae1', label: 'One-sided covariation' },
+        { swatch: 'nuc-invalid', color: '#de2d26', label: 'Invalid' },
+        { swatch: 'nuc-unpaired', color: '#969696', label: 'Unpaired' },
+        { swatch: 'nuc-gap', color: '#ffffff', label: 'Gap' },
+        { swatch: 'nuc-ambiguous', color: '#fee391', label: 'Ambiguous' },
+      ],
+    },
+  ],
+  // Colour scales, as one swatch per tick
+  ...Object.fromEntries(Object.entries(COLOR_SCALES).map(([type, scale]) => [type, [{
+    label: scale.title,
+    items: scale.ticks.map((tick) => ({ color: rainbowColor(tick, scale.domain), label: scale.format(tick) })),
+  }]])),
+};
+
+const LegendList = ({ sections }) => (
+  <ul>
+    {sections.flatMap(({ label, items }) => [
+      <li key={label} className="legend-label">{label}</li>,
+      ...items.map((item) => (
+        <li key={`${label}-${item.label}`}>
+          {item.swatch
+            ? <><span className={`legend-color ${item.swatch}`}></span>{item.label}</>
+            : <><strong>{item.code}</strong>: {item.label}</>}
+        </li>
+      )),
+    ])}
+  </ul>
+);
+
+export const RscapeLegend = () => (
+  <div className="ss-rscape-footer">
+    <div className="ss-legend ss-rscape-legend">
+      <h4>Legend</h4>
+      <LegendList sections={LEGEND_SECTIONS.rscape} />
+      <p className="ss-legend-tip">
+        <strong>Tip:</strong> The diagrams are <strong>interactive</strong> -
+        you can <strong>pan</strong> and <strong>zoom</strong> to see more details
+        or <strong>hover</strong> over nucleotides and basepairs.
+      </p>
+    </div>
+  </div>
+);
+
+export const RchieLegend = () => (
+  <div className="ss-legend ss-rchie-legend">
+    <h4>Legend</h4>
+    <LegendList sections={LEGEND_SECTIONS.rchie} />
+  </div>
+);
+
+// Gradient with numeric ticks for the cons, fcbp, cov, ent and maxcm scales
+const ScaleLegend = ({ scale }) => (
+  <div className="ss-legend ss-scale-legend">
+    <h4>Legend</h4>
+    <p className="ss-scale-title">{scale.title}</p>
+    <div className="ss-scale-bar" style={{ background: scaleGradient(scale) }} />
+    <div className="ss-scale-ticks">
+      {scale.ticks.map((tick) => (
+        <span key={tick} style={{ left: `${scaleFraction(scale, tick) * 100}%` }}>{scale.format(tick)}</span>
+      ))}
+    </div>
+    <p className="ss-legend-tip">
+      <strong>Tip:</strong> <strong>hover</strong> over a nucleotide or basepair to see its approximate value.
+    </p>
+  </div>
+);
+
+// One legend component per scale type, for the image type registry
+export const SCALE_LEGENDS = Object.fromEntries(Object.entries(COLOR_SCALES).map(([type, scale]) => {
+  const Legend = () => <ScaleLegend scale={scale} />;
+  Legend.displayName = `ScaleLegend(${type})`;
+  return [type, Legend];
+}));
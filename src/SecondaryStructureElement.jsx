@@ -0,0 +1,145 @@
+import React, { createRef } from 'react';
+import { createRoot } from 'react-dom/client';
+import SecondaryStructure from './SecondaryStructures.jsx';
+import { withDomEvents } from './domEvents';
+import styles from './SecondaryStructures.css?inline';
+
+// <rfam-secondary-structure> wraps SecondaryStructure for pages without React.
+// The component renders into a shadow root with its own copy of the styles,
+// and its callbacks are dispatched as DOM events on the element (see
+// domEvents.js), so frameworks can bind to it like any other element.
+
+const HOST_STYLES = `
+:host {
+  display: block;
+}
+
+:host([hidden]) {
+  display: none;
+}
+`;
+
+const parseList = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+// Attribute name -> [prop name, parser]. Attributes that are absent leave the
+// component's own default in place.
+const ATTRIBUTE_PROPS = {
+  'family-acc': ['familyAcc', String],
+  'image-types': ['imageTypes', parseList],
+  'api-base-url': ['apiBaseUrl', String],
+  'selected-type': ['selectedType', String],
+  'varna-enabled': ['varnaEnabled', (value) => value !== 'false'],
+  'show-legend': ['showLegend', (value) => value !== 'false'],
+  'show-description': ['showDescription', (value) => value !== 'false'],
+  sanitize: ['sanitize', (value) => value !== 'false'],
+  'link-views': ['linkViews', (value) => value !== 'false'],
+  'show-diff': ['showDiff', (value) => value !== 'false'],
+  'request-timeout': ['requestTimeout', Number],
+  'max-retries': ['maxRetries', Number],
+  'retry-delay': ['retryDelay', Number],
+  // Bare attribute or 'true' for the hash, or 'hash' / 'query'
+  'url-state': ['urlState', (value) => (['hash', 'query'].includes(value) ? value : value !== 'false')],
+  'url-state-key': ['urlStateKey', String],
+  theme: ['theme', String],
+  palette: ['palette', String],
+  sequence: ['sequence', String],
+  structure: ['structure', String],
+  alignment: ['alignment', String],
+  // BED or JSON text
+  annotations: ['annotations', String],
+  'show-annotations': ['showAnnotations', (value) => value !== 'false'],
+};
+
+// Ref API methods exposed on the element itself
+const INSTANCE_METHODS = ['selectType', 'zoomIn', 'zoomOut', 'fit', 'reset', 'highlightPositions', 'getStructure', 'exportImage'];
+
+export class SecondaryStructureElement extends HTMLElement {
+  static get observedAttributes() {
+    return Object.keys(ATTRIBUTE_PROPS);
+  }
+
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+
+    const style = document.createElement('style');
+    style.textContent = `${HOST_STYLES}\n${styles}`;
+    this.mountPoint = document.createElement('div');
+    this.shadowRoot.append(style, this.mountPoint);
+
+    this.root = null;
+    this.instanceRef = createRef();
+    this.extraProps = {};
+  }
+
+  // Props that cannot be attributes (dataSource, fetcher, callbacks). These
+  // override attributes.
+  get props() {
+    return this.extraProps;
+  }
+
+  set props(value) {
+    this.extraProps = { ...value };
+    this.render();
+  }
+
+  connectedCallback() {
+    if (!this.root) this.root = createRoot(this.mountPoint);
+    this.render();
+  }
+
+  // Moving the element fires disconnect then connect; only unmount when it
+  // has really left the page
+  disconnectedCallback() {
+    queueMicrotask(() => {
+      if (this.isConnected || !this.root) return;
+      this.root.unmount();
+      this.root = null;
+    });
+  }
+
+  attributeChangedCallback() {
+    this.render();
+  }
+
+  attributeProps() {
+    const props = {};
+    Object.entries(ATTRIBUTE_PROPS).forEach(([attribute, [prop, parse]]) => {
+      if (this.hasAttribute(attribute)) props[prop] = parse(this.getAttribute(attribute));
+    });
+    return { apiBaseUrl: '/family', ...props };
+  }
+
+  render() {
+    if (!this.root) return;
+
+    const props = { ...this.attributeProps(), ...this.extraProps };
+    // With selected-type set, reflect the user's choice back into the
+    // attribute, as a native <select> does with its value
+    if (this.hasAttribute('selected-type')) {
+      const { onSelectedTypeChange } = props;
+      props.onSelectedTypeChange = (type) => {
+        onSelectedTypeChange?.(type);
+        this.setAttribute('selected-type', type);
+      };
+    }
+
+    this.root.render(<SecondaryStructure ref={this.instanceRef} {...withDomEvents(this, props)} />);
+  }
+}
+
+INSTANCE_METHODS.forEach((method) => {
+  SecondaryStructureElement.prototype[method] = function callInstance(...args) {
+    const instance = this.instanceRef.current;
+    if (!instance) throw new Error(`<${this.localName}> is not mounted`);
+    return instance[method](...args);
+  };
+});
+
+// Register the element; safe to call more than once
+export function defineSecondaryStructureElement(tagName = 'rfam-secondary-structure') {
+  if (!customElements.get(tagName)) {
+    customElements.define(tagName, class extends SecondaryStructureElement {});
+  }
+  return customElements.get(tagName);
+}
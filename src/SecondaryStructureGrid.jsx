@@ -0,0 +1,106 @@
+import { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import SecondaryStructure from './SecondaryStructures.jsx';
+import { DEFAULT_IMAGE_TYPES, getImageType, getImageTypeLabel, isSelectableImageType } from './imageTypes';
+import { sanitizeHtml } from './sanitize';
+import { themeRootProps } from './theme';
+
+// Several families side by side with one visualisation-type selector and one
+// legend. Each cell is a full SecondaryStructure limited to the selected type,
+// so loading, errors and missing images stay local to that family.
+const SecondaryStructureGrid = ({
+  familyAccs,
+  imageTypes = DEFAULT_IMAGE_TYPES,
+  columns = null,
+  showLegend = true,
+  showDescription = true,
+  sanitize = true,
+  ...cellProps
+}) => {
+  const selectableTypes = imageTypes.filter(isSelectableImageType);
+  const [selectedType, setSelectedType] = useState(selectableTypes[0] || imageTypes[0]);
+
+  // Stable identity so cells only rediscover when the selection changes
+  const cellImageTypes = useMemo(() => [selectedType], [selectedType]);
+
+  const descriptionHtml = useMemo(() => {
+    const description = getImageType(selectedType)?.description || '';
+    return sanitize ? sanitizeHtml(description) : description;
+  }, [selectedType, sanitize]);
+
+  // Cells only see their type list change, so the grid reports the selection
+  // for each of them, as a cell on its own would
+  const handleTypeChange = (type) => {
+    familyAccs.forEach((familyAcc) => {
+      cellProps.onTypeChange?.({ familyAcc, type, previousType: selectedType });
+    });
+    setSelectedType(type);
+  };
+
+  const TypeLegend = getImageType(selectedType)?.legend;
+  const gridStyle = columns ? { gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` } : undefined;
+
+  // Theme props also reach every cell through cellProps
+  const rootProps = themeRootProps({
+    className: 'secondary-structures-tab ss-grid',
+    theme: cellProps.theme,
+    palette: cellProps.palette,
+    variables: cellProps.themeVariables,
+  });
+
+  return (
+    <div {...rootProps}>
+      {selectableTypes.length > 1 && (
+        <div className="ss-controls">
+          <div className="ss-control-group">
+            <label htmlFor="grid-image-type-select">Visualisation Type:</label>
+            <select
+              id="grid-image-type-select"
+              value={selectedType}
+              onChange={(e) => handleTypeChange(e.target.value)}
+            >
+              {selectableTypes.map((type) => (
+                <option key={type} value={type}>{getImageTypeLabel(type)}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+
+      {showDescription && descriptionHtml && (
+        <div className="ss-description">
+          <p dangerouslySetInnerHTML={{ __html: descriptionHtml }} />
+        </div>
+      )}
+
+      <div className="ss-grid-cells" style={gridStyle}>
+        {familyAccs.map((familyAcc) => (
+          <section key={familyAcc} className="ss-grid-cell">
+            <h3 className="ss-grid-title">{familyAcc}</h3>
+            <SecondaryStructure
+              {...cellProps}
+              familyAcc={familyAcc}
+              imageTypes={cellImageTypes}
+              showLegend={false}
+              showDescription={false}
+              sanitize={sanitize}
+            />
+          </section>
+        ))}
+      </div>
+
+      {showLegend && TypeLegend && <TypeLegend />}
+    </div>
+  );
+};
+
+SecondaryStructureGrid.propTypes = {
+  familyAccs: PropTypes.arrayOf(PropTypes.string).isRequired,
+  imageTypes: PropTypes.arrayOf(PropTypes.string),
+  columns: PropTypes.number,
+  showLegend: PropTypes.bool,
+  showDescription: PropTypes.bool,
+  sanitize: PropTypes.bool,
+};
+
+export default SecondaryStructureGrid;
@@ -1,179 +1,429 @@
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useState, useEffect, useCallback, useRef, useMemo, useId, forwardRef, useImperativeHandle } from 'react';
 import PropTypes from 'prop-types';
 import svgPanZoom from 'svg-pan-zoom';
+import { createRfamDataSource, rasterContentToDataUrl } from './dataSource';
+import { loadCachedImage, checkCachedAvailability } from './imageCache';
+import { ImageLoadError, LOAD_ERROR_DETAILS } from './loadErrors';
+import { runWithRetry } from './retry';
+import { sanitizeSvg, sanitizeHtml } from './sanitize';
+import { renderStructureSvg } from './renderStructure';
+import { parseStockholm } from './stockholm';
+import { ALIGNMENT_OVERLAY_TYPES, computeAlignmentStats, renderAlignmentOverlay } from './alignmentOverlays';
+import { extractStructureModel, describeNucleotide, describePair, summarizeStructure } from './structureModel';
+import { diffStructureModels, PAIR_STATUS } from './structureDiff';
+import { SEARCH_HINT, parseStructureQuery, findStructureMatches, describeStructureMatch } from './structureSearch';
+import { parseAnnotations, drawAnnotationLayer, removeAnnotationLayer } from './annotations';
+import { DEFAULT_IMAGE_TYPES, getImageType, getImageTypeLabel, isSelectableImageType, sourceForImageType } from './imageTypes';
+import {
+  EXPORT_FORMATS,
+  EXPORT_DPI_OPTIONS,
+  buildFigureSvg,
+  htmlToText,
+  loadRasterImage,
+  renderFigure,
+  downloadBlob,
+} from './exportFigure';
+import { STRUCTURE_FORMATS, formatStructureModel } from './structureFormats';
+import { readUrlState, writeUrlState } from './urlState';
+import { PALETTES, THEMES, remapSvgColors, remapSvgMarkup, paletteLegendSections, themeRootProps } from './theme';
 import './SecondaryStructures.css';
 
-const IMAGE_TYPE_INFO = {
-  rscape: {
-    label: 'R-scape',
-    description: 'R-scape is a method for testing whether covariation analysis supports the presence of a conserved RNA secondary structure. This page shows R-scape analysis of the secondary structure from the Rfam seed alignment and a new structure with covariation support that is compatible with the same alignment.',
-  },
-  cons: {
-    label: 'seqcons',
-    description: 'Conservation (cons): this plot colours each character by how well conserved it is. A site with 100% sequence conservation is coloured red, 0% is violet.',
-  },
-  fcbp: {
-    label: 'bpcons',
-    description: 'Fraction of canonical basepairs (fcbp): this plot colours each base-pair by the percentage of canonical basepairs (A:U, C:G, G:U) which are found in the corresponding position in the alignment. A pair of sites with 100% canonical pairs is coloured red, a site with 0% is violet.',
-  },
-  cov: {
-    label: 'cov',
-    description: 'Covariation (cov): this plot colours each base-pair according to how much the corresponding nucleotides are co-varying. A base-pair position at which every pair of nucleotides is co-variant with respect to every other pair in the alignment gets a score of 2 and is coloured red. Conversely, a base-pair position at every pair is anti-co-variant with respect to every other pair (e.g. lots of mutations to non-canonical pairs) gets a score of -2 and is coloured violet. Further information on this metric can be found in this <a href="#">document</a>.',
-  },
-  ent: {
-    label: 'ent',
-    description: 'Sequence entropy (ent): this plot colours each character by how under- or over-represented the residues at the site are. Sites where one or more nucleotides are over-represented while the other nucleotides are either non-existent or near the background frequencies, receive positive scores; sites where all the nucleotides are under-represented receive negative scores. Further information on this metric can be found in this <a href="#">document</a>.',
-  },
-  maxcm: {
-    label: 'maxcm',
-    description: 'Maximum parse of the covariance model (maxcm): this plot takes the covariance model for the family and generates the sequence with the maximum possible score for that model. Each character is coloured by how many bits it contributes to the total score.',
-  },
-  norm: {
-    label: 'norm',
-    description: 'Normal: this plot simply colours each stem loop.',
-  },
-  rchie: {
-    label: 'rchie',
-    description: 'R-chie (rchie): arc diagrams showing secondary structure, calculated using the <a href="#">R-chie</a> package. The consensus secondary structure is visualized as arc diagrams on top of each diagram, where a basepair in an arc, connect two columns of the block of sequences below. The block of sequences below represent the multiple sequence alignment of the Rfam seed, where each sequence is a horizontal strip. Sequences in the alignments are ordered so sequences that best fit the structure are on top, and those that do not fit as well are towards the bottom. For seed alignments for over 500 sequences, 500 random sequences were chosen. Rfam entries without structure have a blank plot. Colour information can be found on the <a href="#">R-chie FAQ</a>.',
-  },
+// Pseudo image type for structures drawn from the sequence and structure props
+const CLIENT_STRUCTURE_TYPE = 'structure';
+
+// Point `target` at the same part of its layout as `source`: the same zoom
+// relative to the fitted view, with the same fraction of the layout at the
+// centre. The two panels draw the alignment differently, so pan offsets
+// cannot be copied directly.
+const mirrorPanZoom = (source, target) => {
+  const sourceSizes = source.getSizes();
+  const sourcePan = source.getPan();
+  const fractionX = ((sourceSizes.width / 2 - sourcePan.x) / sourceSizes.realZoom - sourceSizes.viewBox.x) / sourceSizes.viewBox.width;
+  const fractionY = ((sourceSizes.height / 2 - sourcePan.y) / sourceSizes.realZoom - sourceSizes.viewBox.y) / sourceSizes.viewBox.height;
+
+  target.zoom(source.getZoom());
+  const targetSizes = target.getSizes();
+  target.pan({
+    x: targetSizes.width / 2 - (targetSizes.viewBox.x + fractionX * targetSizes.viewBox.width) * targetSizes.realZoom,
+    y: targetSizes.height / 2 - (targetSizes.viewBox.y + fractionY * targetSizes.viewBox.height) * targetSizes.realZoom,
+  });
 };
 
-const RSCAPE_COLORS = {
-  significant: '#31a354',
-  conserved97: '#d90000',
-  conserved90: '#000000',
-  conserved75: '#807b88',
-  conserved50: '#ffffff',
+const DIFF_STATUS_LABELS = {
+  [PAIR_STATUS.shared]: 'Both',
+  [PAIR_STATUS.rfamOnly]: 'Rfam only',
+  [PAIR_STATUS.cacofoldOnly]: 'CaCoFold only',
 };
 
-// Image types shown in dropdown (rscape-cyk is shown alongside rscape, not separately)
-const DROPDOWN_IMAGE_TYPES = ['rscape', 'cons', 'fcbp', 'cov', 'ent', 'maxcm', 'norm', 'rchie'];
+const formatHelixSpan = ({ fivePrime, threePrime }) => `${fivePrime[0]}-${fivePrime[1]} / ${threePrime[0]}-${threePrime[1]}`;
+
+// Plain-data views of model entries for host callbacks
+const nucleotideDetail = (model, nucleotide) => ({
+  position: nucleotide.position,
+  character: nucleotide.character,
+  partner: nucleotide.partner === null ? null : model.nucleotides[nucleotide.partner].position,
+  helix: nucleotide.helix,
+  significant: nucleotide.significant,
+});
+
+const pairDetail = (model, pair) => ({
+  i: model.nucleotides[pair.i].position,
+  j: model.nucleotides[pair.j].position,
+  helix: pair.helix,
+  significant: pair.significant,
+});
+
+// Layer toggle states: 1 shows everything, 2 hides the
+// sequence and 3 shows only the sequence. Returns false when the SVG has no
+// toggleable layers.
+const setLayerVisibility = (svgElement, state) => {
+  const seq = svgElement.querySelector('#seq');
+  const lines = svgElement.querySelector('#outline');
+  const pairs = svgElement.querySelector('#pairs');
+  if (!seq && !lines && !pairs) return false;
+
+  const visibility = (visible) => (visible ? 'visible' : 'hidden');
+  if (seq) seq.style.visibility = visibility(state !== 2);
+  if (lines) lines.style.visibility = visibility(state !== 3);
+  if (pairs) pairs.style.visibility = visibility(state !== 3);
+  return true;
+};
 
-const SecondaryStructure = ({
+const LAYER_STATE_LABELS = {
+  1: 'Showing sequence and structure',
+  2: 'Showing structure only',
+  3: 'Showing sequence only',
+};
+
+const STRUCTURE_KEYBOARD_HELP = 'Left and right arrows move along the backbone, up and down arrows jump to the pair partner, '
+  + 'Home and End go to the first and last nucleotide, Enter selects the helix, plus and minus zoom, 0 fits the view, '
+  + 'T toggles sequence labels and base pairs where available, and Escape leaves the structure.';
+
+// Step in pixels for moving the keyboard-driven R-chie magnifier (Shift for large steps)
+const LOUPE_STEP = 20;
+const LOUPE_ARROW_STEPS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+};
+
+// Centre a pan/zoom view on a point in the SVG's own coordinates
+const centerPanZoomOn = (instance, { x, y }) => {
+  const { width, height, realZoom } = instance.getSizes();
+  instance.pan({ x: width / 2 - x * realZoom, y: height / 2 - y * realZoom });
+};
+
+// Data source whose methods call the one currently in `sourceRef`
+const followLatestSource = (sourceRef) => Object.fromEntries(
+  Object.entries(sourceRef.current).map(([name, value]) => [
+    name,
+    typeof value === 'function' ? (...args) => sourceRef.current[name](...args) : value,
+  ])
+);
+
+// Closest a search hit is zoomed in, relative to the fitted view
+const SEARCH_MAX_ZOOM = 4;
+
+// Zoom so a group of points fills about half the view, then centre on them
+const focusPanZoomOn = (instance, points) => {
+  const xs = points.map(({ x }) => x);
+  const ys = points.map(({ y }) => y);
+  const { width, height, realZoom } = instance.getSizes();
+  const fittedZoom = realZoom / instance.getZoom();
+  const spanZoom = Math.min(
+    width / (2 * (Math.max(...xs) - Math.min(...xs))),
+    height / (2 * (Math.max(...ys) - Math.min(...ys)))
+  ) / fittedZoom;
+  instance.zoom(Math.max(1, Math.min(spanZoom, SEARCH_MAX_ZOOM)));
+  centerPanZoomOn(instance, {
+    x: (Math.min(...xs) + Math.max(...xs)) / 2,
+    y: (Math.min(...ys) + Math.max(...ys)) / 2,
+  });
+};
+
+const SecondaryStructure = forwardRef(({
   familyAcc,
-  imageTypes = ['rscape', 'cons', 'norm', 'cov', 'ent', 'maxcm', 'fcbp', 'rchie'],
+  imageTypes = DEFAULT_IMAGE_TYPES,
   apiBaseUrl = 'rfam',
   varnaEnabled = true,
   showLegend = true,
   showDescription = true,
-}) => {
-  const [selectedImageType, setSelectedImageType] = useState(imageTypes[0] || 'rscape');
+  dataSource = null,
+  fetcher,
+  requestTimeout = 15000,
+  maxRetries = 2,
+  retryDelay = 500,
+  sanitize = true,
+  sequence,
+  structure,
+  alignment,
+  onStructureModel,
+  onLoad,
+  onError,
+  onTypeChange,
+  onNucleotideHover,
+  onPairClick,
+  onAvailabilityResolved,
+  linkViews = false,
+  showDiff = false,
+  selectedType,
+  onSelectedTypeChange,
+  urlState = false,
+  urlStateKey,
+  theme = 'light',
+  themeVariables,
+  palette = 'default',
+  annotations,
+  showAnnotations = true,
+}, ref) => {
+  const [selectedImageType, setSelectedImageType] = useState(selectedType || imageTypes[0] || 'rscape');
   const [svgContent, setSvgContent] = useState('');
   const [imageStatus, setImageStatus] = useState('loading');
   const [errorMessage, setErrorMessage] = useState('');
+  const [errorKind, setErrorKind] = useState(null);
+  const [discoveryAttempt, setDiscoveryAttempt] = useState(0);
   const [availableTypes, setAvailableTypes] = useState([]);
-  const [rscapeStats, setRscapeStats] = useState(null);
+  const [mainStats, setMainStats] = useState(null);
   const [svgToggleState, setSvgToggleState] = useState(1);
   const [tooltip, setTooltip] = useState({ visible: false, content: '', x: 0, y: 0 });
   const [loupePosition, setLoupePosition] = useState({ x: 0, y: 0, visible: false });
   const [isImageNotAvailable, setIsImageNotAvailable] = useState(false);
-
-  // R-scape CYK (optimised) state - for side-by-side display
-  const [rscapeCykContent, setRscapeCykContent] = useState('');
-  const [rscapeCykStatus, setRscapeCykStatus] = useState('loading');
-  const [rscapeCykStats, setRscapeCykStats] = useState(null);
-  const [isRscapeCykNotAvailable, setIsRscapeCykNotAvailable] = useState(false);
+  // Read out by the live region for keyboard users
+  const [announcement, setAnnouncement] = useState('');
+  const accessibleIds = useId();
+
+  // How the selected type is loaded and shown (see imageTypes.js)
+  const typeDefinition = getImageType(selectedImageType);
+  const companion = typeDefinition?.companion || null;
+  const companionDefinition = companion ? getImageType(companion.type) : null;
+
+  // Companion panel shown beside the main one (the R-scape CaCoFold structure)
+  const [companionContent, setCompanionContent] = useState('');
+  const [companionStatus, setCompanionStatus] = useState('loading');
+  const [companionStats, setCompanionStats] = useState(null);
+  const [isCompanionNotAvailable, setIsCompanionNotAvailable] = useState(false);
+  const [viewsLinked, setViewsLinked] = useState(linkViews);
+  const [diffEnabled, setDiffEnabled] = useState(showDiff);
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  const [exportOptions, setExportOptions] = useState({
+    format: 'png',
+    dpi: 300,
+    includeLegend: true,
+    includeDescription: false,
+    includeStats: true,
+    dataFormat: 'dbn',
+    dataPanel: 'main',
+  });
+  const [exportStatus, setExportStatus] = useState({ busy: false, error: null });
+  // Mirrors structureModelsRef so views derived from the models re-render
+  const [structureModels, setStructureModels] = useState({});
+  // Position/motif search over the main panel; -1 until the user steps to a hit
+  const [searchText, setSearchText] = useState('');
+  const [searchIndex, setSearchIndex] = useState(-1);
+  // Annotations loaded from a file in the UI, added to the annotations prop
+  const [fileAnnotations, setFileAnnotations] = useState(null);
+  const [annotationFileError, setAnnotationFileError] = useState(null);
+  const [annotationsVisible, setAnnotationsVisible] = useState(showAnnotations);
+  const [annotationsDrawn, setAnnotationsDrawn] = useState(0);
 
   const svgContainerRef = useRef(null);
-  const svgContainerCykRef = useRef(null);
+  const svgContainerCompanionRef = useRef(null);
   const panZoomInstanceRef = useRef(null);
-  const panZoomCykInstanceRef = useRef(null);
-  const rchieImageRef = useRef(null);
-
-  const buildImageUrl = useCallback((type) => {
-    return `${apiBaseUrl}/${familyAcc}/image/${type}`;
-  }, [apiBaseUrl, familyAcc]);
+  const panZoomCompanionInstanceRef = useRef(null);
+  const viewsLinkedRef = useRef(viewsLinked);
+  viewsLinkedRef.current = viewsLinked;
+  // Set while one panel is being moved to match the other, so it does not echo back
+  const mirroringRef = useRef(false);
+  const rasterImageRef = useRef(null);
+  // Aborted whenever a newer main image request supersedes it
+  const imageRequestRef = useRef(null);
+  // Latest structure model per panel ('main', and 'cacofold' for the companion panel)
+  const structureModelsRef = useRef({});
+  // Latest host callbacks, read at call time so handlers keep stable identities
+  const callbacksRef = useRef({});
+  callbacksRef.current = {
+    onStructureModel, onLoad, onError, onTypeChange, onNucleotideHover, onPairClick, onAvailabilityResolved,
+    onSelectedTypeChange,
+  };
+  const hoveredNucleotideRef = useRef(null);
+  // In controlled mode the host owns the selected type
+  const isControlled = selectedType !== undefined;
+  const selectedTypePropRef = useRef(selectedType);
+  selectedTypePropRef.current = selectedType;
+  // Type the user picked in controlled mode, until the host passes it back
+  const requestedTypeRef = useRef(null);
+  // Positions highlighted through the ref handle: the marked elements, and the
+  // positions themselves so they can be marked again in new content
+  const positionHighlightRef = useRef([]);
+  const highlightedPositionsRef = useRef({ positions: [], panel: 'both' });
+  // Model entry for each nucleotide and pair element, for hover and click lookups
+  const structureElementsRef = useRef(new WeakMap());
+  // Elements currently highlighted for the hovered nucleotide and the selected helix
+  const hoverHighlightRef = useRef([]);
+  const helixHighlightRef = useRef({ elements: [], key: null });
+  // Nucleotide reached with the arrow keys, by panel and index into its model
+  const keyboardFocusRef = useRef({ panel: null, index: -1, elements: [] });
+  // Elements marked for all search hits and for the current one
+  const searchHighlightRef = useRef({ matches: [], current: [] });
+
+  // Deep links (see urlState.js). `true` means the hash.
+  const urlMode = urlState === true ? 'hash' : (urlState || null);
+  const urlKey = urlStateKey || familyAcc || 'ss';
+  const selectedImageTypeRef = useRef(selectedImageType);
+  selectedImageTypeRef.current = selectedImageType;
+  // State read from the URL and not yet applied; each part is dropped once
+  // its panel is ready for it
+  const pendingUrlStateRef = useRef(undefined);
+  if (pendingUrlStateRef.current === undefined) {
+    pendingUrlStateRef.current = urlMode ? readUrlState(urlMode, urlKey) : null;
+    if (pendingUrlStateRef.current) {
+      highlightedPositionsRef.current = { positions: pendingUrlStateRef.current.positions, panel: 'both' };
+    }
+  }
+  // Latest syncUrlState, for the pan/zoom handlers
+  const syncUrlStateRef = useRef(() => {});
+  const urlSyncTimerRef = useRef(null);
+  const applyPendingUrlStateRef = useRef(() => {});
+
+  // Fall back to the Rfam REST layout when no custom data source is supplied.
+  // Hosts often pass both props inline, so a new object alone does not make a
+  // new source (which would re-run discovery and miss the cache): only a new
+  // source id, or a new object for sources without one, does. Calls always
+  // go to the latest props.
+  const dataSourceRef = useRef(dataSource);
+  dataSourceRef.current = dataSource;
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+  const sourceKey = dataSource ? (dataSource.id ?? dataSource) : null;
+  const hasFetcher = Boolean(fetcher);
+  const source = useMemo(() => {
+    if (sourceKey !== null) return followLatestSource(dataSourceRef);
+    return createRfamDataSource({
+      apiBaseUrl,
+      fetcher: hasFetcher ? (url, options) => fetcherRef.current(url, options) : undefined,
+    });
+  }, [sourceKey, apiBaseUrl, hasFetcher]);
 
   const buildVarnaUrl = useCallback(() => {
-    return `${apiBaseUrl}/${familyAcc}/varna`;
-  }, [apiBaseUrl, familyAcc]);
+    return source.getVarnaUrl(familyAcc);
+  }, [source, familyAcc]);
 
-  const checkImageAvailability = useCallback(async (type) => {
-    try {
-      const url = buildImageUrl(type);
-      const response = await fetch(url, {
-        method: 'HEAD',
-        mode: 'cors'
-      });
-      return response.ok;
-    } catch (error) {
-      console.warn(`Availability check failed for ${type}:`, error);
-      return false;
+  const retryOptions = useMemo(
+    () => ({ timeout: requestTimeout, retries: maxRetries, retryDelay }),
+    [requestTimeout, maxRetries, retryDelay]
+  );
+
+  // Rejects with an ImageLoadError
+  const checkImageAvailability = useCallback((type, signal) => {
+    return runWithRetry(
+      (attemptSignal) => checkCachedAvailability(source, familyAcc, type, { signal: attemptSignal }),
+      { ...retryOptions, signal }
+    );
+  }, [source, familyAcc, retryOptions]);
+
+  // Resolves to { content, isAvailable, isSvg }; rejects with an ImageLoadError
+  const loadImage = useCallback(async (type, signal) => {
+    const { content, contentType = '' } = await runWithRetry(
+      (attemptSignal) => loadCachedImage(source, familyAcc, type, { signal: attemptSignal }),
+      { ...retryOptions, signal }
+    );
+    const isSvg = content.includes('<svg');
+    const isPng = contentType.includes('image/png');
+    const isRaster = getImageType(type)?.format === 'raster';
+
+    // If image is not available, Rfam returns a 'not available' PNG image.
+    // Raster types are legitimately PNGs, other types should be SVG
+    if (!isSvg && !isPng && !isRaster) {
+      throw new ImageLoadError('malformed', 'Response does not contain a valid image');
     }
-  }, [buildImageUrl]);
 
-  const loadImage = useCallback(async (type) => {
-    const url = buildImageUrl(type);
+    // Truncated or otherwise broken SVG documents
+    if (isSvg && !content.includes('</svg>')) {
+      throw new ImageLoadError('malformed', 'SVG document is incomplete');
+    }
 
-    try {
-      const response = await fetch(url, { mode: 'cors' });
+    // Strip scripts and event handlers before the markup reaches the page
+    const safeContent = isSvg && sanitize ? sanitizeSvg(content) : content;
+    if (safeContent === null) {
+      throw new ImageLoadError('malformed', 'SVG document could not be parsed');
+    }
 
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
+    // Raster types are shown from the loaded body, so the fetcher, headers
+    // and cache apply to them too; only a source with no body is shown from its URL
+    if (isRaster) {
+      const src = await rasterContentToDataUrl(safeContent, isSvg ? 'image/svg+xml' : contentType);
+      return { content: src || sourceForImageType(source, type).getImageUrl(familyAcc, type), isAvailable: true, isSvg: false };
+    }
 
-      const content = await response.text();
-      const contentType = response.headers.get('content-type') || '';
-      const isSvg = content.includes('<svg');
-      const isPng = contentType.includes('image/png');
+    // For SVG types, PNG means "not available"
+    const isActuallyAvailable = isSvg;
 
-      // If image is not available, Rfam returns a 'not available' PNG image
-      // R-chie is legitimately a PNG, other types should be SVG
-      if (!isSvg && !isPng) {
-        throw new Error('Response does not contain valid image');
-      }
+    return { content: safeContent, isAvailable: isActuallyAvailable, isSvg };
+  }, [source, familyAcc, retryOptions, sanitize]);
 
-      // For non-R-chie types, PNG means "not available"
-      const isActuallyAvailable = isSvg || type === 'rchie';
+  // Start a main image request, cancelling whichever one it supersedes
+  const startImageRequest = useCallback(() => {
+    imageRequestRef.current?.abort();
+    const controller = new AbortController();
+    imageRequestRef.current = controller;
+    return controller;
+  }, []);
 
-      return { content, isAvailable: isActuallyAvailable, isSvg };
-    } catch (error) {
-      console.warn(`Failed to load ${type}:`, error);
-      return null;
+  const showLoadError = useCallback((error, context) => {
+    const details = LOAD_ERROR_DETAILS[error.kind] || LOAD_ERROR_DETAILS.network;
+    console.warn(`${context}:`, error);
+    setErrorKind(error.kind);
+    if (error.kind === 'not-available') {
+      setErrorMessage(details.message);
+    } else if (error.kind === 'invalid-structure' || error.kind === 'invalid-alignment') {
+      setErrorMessage(`${context}: ${error.message}`);
+    } else {
+      setErrorMessage(`${context}. ${details.message}`);
     }
-  }, [buildImageUrl]);
-
-  const tryLoadImage = useCallback(async (types) => {
-    setImageStatus('loading');
-    setIsImageNotAvailable(false);
+    setImageStatus('error');
+  }, []);
 
-    for (const type of types) {
-      const result = await loadImage(type);
+  // Load the companion panel's image alongside the main one
+  const loadCompanion = useCallback(async (type, signal) => {
+    setCompanionStatus('loading');
+    setIsCompanionNotAvailable(false);
+    setCompanionStats(null);
 
-      if (result) {
-        setSvgContent(result.content);
-        setSelectedImageType(type);
-        setIsImageNotAvailable(!result.isAvailable);
-        setImageStatus('loaded');
-        return true;
-      }
+    try {
+      const result = await loadImage(type, signal);
+      setCompanionContent(result.content);
+      setIsCompanionNotAvailable(!result.isAvailable);
+      setCompanionStatus('loaded');
+    } catch (error) {
+      if (error.kind === 'aborted') return;
+      console.warn(`Failed to load ${type}:`, error);
+      setCompanionStatus('error');
+      setIsCompanionNotAvailable(true);
     }
-
-    setImageStatus('error');
-    setErrorMessage('No secondary structure images available for this family.');
-    return false;
   }, [loadImage]);
 
-  // Load R-scape CYK (optimised structure) alongside main R-scape
-  const loadRscapeCyk = useCallback(async () => {
-    setRscapeCykStatus('loading');
-    setIsRscapeCykNotAvailable(false);
-    setRscapeCykStats(null);
-
-    const result = await loadImage('rscape-cacofold');
+  // Follow pan and zoom from one panel in the other when views are linked
+  const mirrorLinkedView = useCallback((sourceRef, targetRef) => {
+    if (!viewsLinkedRef.current || mirroringRef.current) return;
+    if (!sourceRef.current || !targetRef?.current) return;
 
-    if (result) {
-      setRscapeCykContent(result.content);
-      setIsRscapeCykNotAvailable(!result.isAvailable);
-      setRscapeCykStatus('loaded');
-    } else {
-      setRscapeCykStatus('error');
-      setIsRscapeCykNotAvailable(true);
+    mirroringRef.current = true;
+    try {
+      mirrorPanZoom(sourceRef.current, targetRef.current);
+    } finally {
+      mirroringRef.current = false;
     }
-  }, [loadImage]);
+  }, []);
+
+  // Zooming and panning only replace the URL, once the view settles
+  const scheduleUrlSync = useCallback(() => {
+    clearTimeout(urlSyncTimerRef.current);
+    urlSyncTimerRef.current = setTimeout(() => syncUrlStateRef.current(), 250);
+  }, []);
 
-  // Initialize pan/zoom for R-scape images
-  const initializePanZoom = useCallback((containerRef, panZoomRef) => {
+  // Initialize pan/zoom for an SVG panel, optionally linked to another panel
+  const initializePanZoom = useCallback((containerRef, panZoomRef, linkedRef = null) => {
     if (panZoomRef.current) {
       panZoomRef.current.destroy();
       panZoomRef.current = null;
@@ -195,88 +445,163 @@ const SecondaryStructure = ({
         center: true,
         minZoom: 0.5,
         maxZoom: 10,
+        onZoom: () => {
+          mirrorLinkedView(panZoomRef, linkedRef);
+          scheduleUrlSync();
+        },
+        onPan: () => {
+          mirrorLinkedView(panZoomRef, linkedRef);
+          scheduleUrlSync();
+        },
       });
+      // The panel initialised second starts out matching the first
+      if (linkedRef?.current) mirrorLinkedView(linkedRef, panZoomRef);
+      applyPendingUrlStateRef.current();
     } catch (error) {
       console.warn('Failed to initialize pan/zoom:', error);
     }
-  }, []);
+  }, [mirrorLinkedView, scheduleUrlSync]);
 
-  // Process R-scape SVG - add tooltips and calculate stats
-  const processRscapeSvg = useCallback((containerRef, setStats) => {
+  // Parse the rendered SVG into a structure model and hand it to the host
+  const publishStructureModel = useCallback((panel, containerRef, type) => {
     const svgElement = containerRef.current?.querySelector('svg');
     if (!svgElement) return;
 
-    let basepairs = 0;
-    let significantBasepairs = 0;
-
-    // Process tspans (nucleotides)
-    const tspans = svgElement.querySelectorAll('tspan');
-    tspans.forEach((tspan) => {
-      const fill = tspan.getAttribute('fill');
-      const nucleotide = tspan.textContent;
-      let title = '';
-
-      let displayNucleotide = nucleotide;
-      if (nucleotide === 'R') displayNucleotide = 'G or A';
-      else if (nucleotide === 'Y') displayNucleotide = 'C or U';
-
-      if (fill === RSCAPE_COLORS.conserved97) {
-        title = `${displayNucleotide} present >97%`;
-      } else if (fill === RSCAPE_COLORS.conserved90 && nucleotide !== "5'") {
-        title = `${displayNucleotide} present 90-97%`;
-      } else if (fill === RSCAPE_COLORS.conserved75) {
-        title = `${displayNucleotide} present 75-90%`;
-      } else if (fill === RSCAPE_COLORS.conserved50) {
-        title = `${displayNucleotide} present 50-75%`;
-      }
+    const model = extractStructureModel(svgElement, { type });
+    structureModelsRef.current = { ...structureModelsRef.current, [panel]: model };
+    // Screen readers get the summary and keyboard traversal instead of the
+    // SVG's individual letters
+    svgElement.setAttribute('aria-hidden', 'true');
+    setStructureModels(structureModelsRef.current);
+
+    // A helix selected in the previous content of this panel no longer applies
+    if (helixHighlightRef.current.key?.startsWith(`${panel}:`)) {
+      helixHighlightRef.current.elements.forEach((element) => element.classList.remove('ss-highlight-helix'));
+      helixHighlightRef.current = { elements: [], key: null };
+    }
 
-      if (title) {
-        tspan.style.cursor = 'pointer';
-        tspan.dataset.tooltip = title;
-      }
+    const pairOf = new Map();
+    model.pairs.forEach((pair) => {
+      pairOf.set(pair.i, pair);
+      pairOf.set(pair.j, pair);
+      structureElementsRef.current.set(pair.element, { model, panel, nucleotide: null, pair });
+    });
+    model.nucleotides.forEach((nucleotide) => {
+      structureElementsRef.current.set(nucleotide.element, {
+        model, panel, nucleotide, pair: pairOf.get(nucleotide.index) || null,
+      });
     });
+    callbacksRef.current.onStructureModel?.(model, { panel, type });
+  }, []);
 
-    // Process paths (basepairs and circles)
-    const paths = svgElement.querySelectorAll('path');
-    paths.forEach((path) => {
-      const fill = path.getAttribute('fill');
-      const strokeWidth = path.getAttribute('stroke-width');
-      let title = '';
-
-      if (fill === RSCAPE_COLORS.significant) {
-        title = 'Significant basepair';
-        significantBasepairs++;
-      } else if (fill === RSCAPE_COLORS.conserved97) {
-        title = 'Nucleotide present 97%';
-      } else if (fill === RSCAPE_COLORS.conserved90) {
-        title = 'Nucleotide present 90%';
-      } else if (fill === RSCAPE_COLORS.conserved75) {
-        title = 'Nucleotide present 75%';
-      } else if (fill === RSCAPE_COLORS.conserved50) {
-        title = 'Nucleotide present 50%';
-      }
+  // Tooltip for a hovered element, adding position, partner and helix from the model
+  const describeStructureElement = useCallback((target) => {
+    const ownTooltip = target.dataset?.tooltip;
+    const entry = structureElementsRef.current.get(target);
+    if (!entry) return ownTooltip;
 
-      if (strokeWidth === '1.44') {
-        basepairs++;
-      }
+    const helix = entry.pair?.helix;
+    // Client-drawn SVGs already describe position and partner
+    if (target.hasAttribute('data-position') || target.hasAttribute('data-i')) {
+      return helix ? `${ownTooltip}; helix H${helix}` : ownTooltip;
+    }
 
-      if (title) {
-        path.style.cursor = 'pointer';
-        path.dataset.tooltip = title;
-      }
-    });
+    const description = entry.nucleotide
+      ? describeNucleotide(entry.model, entry.nucleotide)
+      : describePair(entry.model, entry.pair);
+    return ownTooltip ? `${description}; ${ownTooltip}` : description;
+  }, []);
 
-    // Remove R-scape title if present
-    const titleElement = svgElement.querySelector('#text1000');
-    if (titleElement) titleElement.remove();
+  const replaceHighlight = (current, elements, className) => {
+    current.forEach((element) => element.classList.remove(className));
+    elements.forEach((element) => element.classList.add(className));
+    return elements;
+  };
 
-    setStats({ basepairs, significantBasepairs });
+  // Highlight a nucleotide, its partner and the pair between them, plus the
+  // same alignment columns in the other panel
+  const highlightPartner = useCallback((target) => {
+    const entry = structureElementsRef.current.get(target);
+    const elements = [];
+    const positions = [];
+    if (entry?.pair) {
+      const { model, pair } = entry;
+      elements.push(pair.element, model.nucleotides[pair.i].element, model.nucleotides[pair.j].element);
+      positions.push(model.nucleotides[pair.i].position, model.nucleotides[pair.j].position);
+    } else if (entry?.nucleotide) {
+      elements.push(entry.nucleotide.element);
+      positions.push(entry.nucleotide.position);
+    }
+
+    const otherPanel = { main: 'cacofold', cacofold: 'main' }[entry?.panel];
+    const other = otherPanel && structureModelsRef.current[otherPanel];
+    // The other model may belong to a view that is no longer on screen
+    if (other?.nucleotides[0]?.element.isConnected) {
+      positions.forEach((position) => {
+        const nucleotide = other.nucleotides[position - 1];
+        if (nucleotide?.position === position) elements.push(nucleotide.element);
+      });
+    }
+    hoverHighlightRef.current = replaceHighlight(hoverHighlightRef.current, elements, 'ss-highlight-partner');
   }, []);
 
-  // Handle SVG mouse events for tooltips
+  const clearHelixSelection = useCallback(() => {
+    helixHighlightRef.current = {
+      elements: replaceHighlight(helixHighlightRef.current.elements, [], 'ss-highlight-helix'),
+      key: null,
+    };
+  }, []);
+
+  // Select the helix under a click; clicking the selected helix again clears it.
+  // Returns true when the click landed on a paired nucleotide or a pair.
+  const selectHelix = useCallback((target) => {
+    const entry = structureElementsRef.current.get(target);
+    const helixId = entry?.pair?.helix;
+    if (!helixId) {
+      clearHelixSelection();
+      return false;
+    }
+
+    const key = `${entry.panel}:${helixId}`;
+    if (helixHighlightRef.current.key === key) {
+      clearHelixSelection();
+      return true;
+    }
+
+    const { model } = entry;
+    const elements = model.helices[helixId - 1].pairs.flatMap((pair) => [
+      pair.element,
+      model.nucleotides[pair.i].element,
+      model.nucleotides[pair.j].element,
+    ]);
+    helixHighlightRef.current = {
+      elements: replaceHighlight(helixHighlightRef.current.elements, elements, 'ss-highlight-helix'),
+      key,
+    };
+    return true;
+  }, [clearHelixSelection]);
+
+  // Tell the host when the nucleotide under the pointer changes (null when it leaves)
+  const reportHover = useCallback((target) => {
+    const entry = structureElementsRef.current.get(target);
+    const nucleotide = entry?.nucleotide || null;
+    if (hoveredNucleotideRef.current === nucleotide) return;
+
+    hoveredNucleotideRef.current = nucleotide;
+    callbacksRef.current.onNucleotideHover?.({
+      familyAcc,
+      type: entry?.model.type ?? null,
+      panel: entry?.panel ?? null,
+      nucleotide: nucleotide ? nucleotideDetail(entry.model, nucleotide) : null,
+    });
+  }, [familyAcc]);
+
+  // Handle SVG mouse events for tooltips and partner highlighting
   const handleSvgMouseMove = useCallback((e) => {
     const target = e.target;
-    const tooltipText = target.dataset?.tooltip;
+    const tooltipText = describeStructureElement(target);
+    highlightPartner(target);
+    reportHover(target);
 
     if (tooltipText) {
       setTooltip({
@@ -288,52 +613,167 @@ const SecondaryStructure = ({
     } else {
       setTooltip((prev) => ({ ...prev, visible: false }));
     }
-  }, []);
+  }, [describeStructureElement, highlightPartner, reportHover]);
 
   const handleSvgMouseLeave = useCallback(() => {
     setTooltip((prev) => ({ ...prev, visible: false }));
-  }, []);
+    highlightPartner(null);
+    reportHover(null);
+  }, [highlightPartner, reportHover]);
 
-  // Toggle SVG element visibility (for non-R-scape images)
-  const handleSvgClick = useCallback(() => {
-    if (selectedImageType === 'rscape' || selectedImageType === 'rchie') return;
+  // Toggle SVG element visibility (for types with layers). Returns true when
+  // the layers were toggled.
+  const handleSvgClick = useCallback((e) => {
+    if (!typeDefinition?.layers) return;
+    // Clicks on the pan/zoom buttons should not toggle layers
+    if (e?.target?.closest?.('#svg-pan-zoom-controls')) return;
 
     const svgElement = svgContainerRef.current?.querySelector('svg');
     if (!svgElement) return;
 
-    const seq = svgElement.querySelector('#seq');
-    const lines = svgElement.querySelector('#outline');
-    const pairs = svgElement.querySelector('#pairs');
-
-    if (!seq && !lines && !pairs) return;
-
     const newState = svgToggleState === 3 ? 1 : svgToggleState + 1;
-
-    if (newState === 1) {
-      // Show all
-      if (seq) seq.style.visibility = 'visible';
-      if (lines) lines.style.visibility = 'visible';
-      if (pairs) pairs.style.visibility = 'visible';
-    } else if (newState === 2) {
-      // Hide sequences, show structure
-      if (seq) seq.style.visibility = 'hidden';
-      if (lines) lines.style.visibility = 'visible';
-      if (pairs) pairs.style.visibility = 'visible';
-    } else if (newState === 3) {
-      // Show sequences only
-      if (seq) seq.style.visibility = 'visible';
-      if (lines) lines.style.visibility = 'hidden';
-      if (pairs) pairs.style.visibility = 'hidden';
-    }
+    if (!setLayerVisibility(svgElement, newState)) return;
 
     setSvgToggleState(newState);
-  }, [selectedImageType, svgToggleState]);
+    return true;
+  }, [typeDefinition, svgToggleState]);
+
+  // Select (or clear) the helix of a pair or paired nucleotide and tell the
+  // host. Returns false when the element is not part of a pair.
+  const activateStructureElement = useCallback((target) => {
+    const entry = structureElementsRef.current.get(target);
+    if (!selectHelix(target)) return false;
+
+    callbacksRef.current.onPairClick?.({
+      familyAcc,
+      type: entry.model.type,
+      panel: entry.panel,
+      pair: pairDetail(entry.model, entry.pair),
+      selected: helixHighlightRef.current.key !== null,
+    });
+    syncUrlStateRef.current({ push: true });
+    return true;
+  }, [familyAcc, selectHelix]);
+
+  // Clicking a pair selects its helix; clicking elsewhere toggles layers where supported
+  const handleStructureClick = useCallback((e) => {
+    if (e.target.closest?.('#svg-pan-zoom-controls')) return;
+    if (activateStructureElement(e.target)) return;
+    handleSvgClick(e);
+  }, [activateStructureElement, handleSvgClick]);
+
+  // Move the keyboard position to a nucleotide: highlight it like a hover,
+  // show its tooltip next to it and announce it
+  const focusNucleotide = useCallback((panel, index) => {
+    const nucleotide = structureModelsRef.current[panel]?.nucleotides[index];
+    if (!nucleotide) return;
+
+    const { element } = nucleotide;
+    keyboardFocusRef.current = {
+      panel,
+      index,
+      elements: replaceHighlight(keyboardFocusRef.current.elements, [element], 'ss-keyboard-focus'),
+    };
+    highlightPartner(element);
+    reportHover(element);
+
+    const description = describeStructureElement(element);
+    const rect = element.getBoundingClientRect();
+    setAnnouncement(description);
+    setTooltip({ visible: true, content: description, x: rect.right + 10, y: rect.top - 28 });
+  }, [highlightPartner, reportHover, describeStructureElement]);
+
+  const clearKeyboardFocus = useCallback(() => {
+    keyboardFocusRef.current = {
+      ...keyboardFocusRef.current,
+      elements: replaceHighlight(keyboardFocusRef.current.elements, [], 'ss-keyboard-focus'),
+    };
+    setTooltip((prev) => ({ ...prev, visible: false }));
+    highlightPartner(null);
+    reportHover(null);
+  }, [highlightPartner, reportHover]);
+
+  const handleStructureKeyDown = useCallback((e, panel) => {
+    const model = structureModelsRef.current[panel];
+    const count = model?.nucleotides.length || 0;
+    const focus = keyboardFocusRef.current;
+    // The position is lost when the panel shows new content
+    const current = focus.panel === panel && model?.nucleotides[focus.index]?.element.isConnected ? focus.index : -1;
+    const instance = (panel === 'cacofold' ? panZoomCompanionInstanceRef : panZoomInstanceRef).current;
+
+    switch (e.key) {
+      case 'ArrowRight':
+        if (count > 0) focusNucleotide(panel, Math.min(current + 1, count - 1));
+        break;
+      case 'ArrowLeft':
+        if (count > 0) focusNucleotide(panel, Math.max(current - 1, 0));
+        break;
+      case 'Home':
+        if (count > 0) focusNucleotide(panel, 0);
+        break;
+      case 'End':
+        if (count > 0) focusNucleotide(panel, count - 1);
+        break;
+      case 'ArrowUp':
+      case 'ArrowDown': {
+        if (current === -1) {
+          if (count > 0) focusNucleotide(panel, 0);
+          break;
+        }
+        const nucleotide = model.nucleotides[current];
+        if (nucleotide.partner === null) {
+          setAnnouncement(`Position ${nucleotide.position} is unpaired`);
+        } else {
+          focusNucleotide(panel, nucleotide.partner);
+        }
+        break;
+      }
+      case 'Enter':
+      case ' ': {
+        if (current === -1) break;
+        const { element, position } = model.nucleotides[current];
+        if (activateStructureElement(element)) {
+          const [, helixId] = helixHighlightRef.current.key?.split(':') || [];
+          setAnnouncement(helixId ? `Helix H${helixId} selected` : 'Helix selection cleared');
+        } else {
+          setAnnouncement(`Position ${position} is unpaired`);
+        }
+        break;
+      }
+      case '+':
+      case '=':
+        instance?.zoomIn();
+        break;
+      case '-':
+      case '_':
+        instance?.zoomOut();
+        break;
+      case '0':
+        if (instance) {
+          instance.fit();
+          instance.center();
+        }
+        break;
+      case 't':
+      case 'T':
+        if (!handleSvgClick()) return;
+        setAnnouncement(LAYER_STATE_LABELS[svgToggleState === 3 ? 1 : svgToggleState + 1]);
+        break;
+      case 'Escape':
+        clearKeyboardFocus();
+        e.currentTarget.blur();
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }, [focusNucleotide, activateStructureElement, handleSvgClick, clearKeyboardFocus, svgToggleState]);
 
-  // R-chie loupe functionality
-  const handleRchieMouseMove = useCallback((e) => {
-    if (selectedImageType !== 'rchie' || !rchieImageRef.current) return;
+  // Loupe for raster images such as R-chie
+  const handleRasterMouseMove = useCallback((e) => {
+    if (typeDefinition?.format !== 'raster' || !rasterImageRef.current) return;
 
-    const rect = rchieImageRef.current.getBoundingClientRect();
+    const rect = rasterImageRef.current.getBoundingClientRect();
     const x = e.clientX - rect.left;
     const y = e.clientY - rect.top;
 
@@ -344,175 +784,913 @@ const SecondaryStructure = ({
       bgY: y,
       visible: true,
     });
-  }, [selectedImageType]);
+  }, [typeDefinition]);
 
-  const handleRchieMouseLeave = useCallback(() => {
+  const handleRasterMouseLeave = useCallback(() => {
     setLoupePosition((prev) => ({ ...prev, visible: false }));
   }, []);
 
-  const openRchiePopup = useCallback(() => {
-    const url = buildImageUrl('rchie');
-    window.open(url, '_blank', 'width=800,height=800');
-  }, [buildImageUrl]);
+  // Browsers refuse to open data: URLs as pages, so the image goes into a blank one
+  const openRasterPopup = useCallback(() => {
+    const popup = window.open('', '_blank', 'width=800,height=800');
+    if (!popup) return;
+    const image = popup.document.createElement('img');
+    image.src = svgContent;
+    image.alt = rasterImageRef.current?.alt || '';
+    popup.document.body.appendChild(image);
+  }, [svgContent]);
+
+  // Keyboard magnifier: arrows move the loupe over the image, starting from
+  // the centre; Enter opens the full image as a click does
+  const handleRasterKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      openRasterPopup();
+      return;
+    }
+    if (e.key === 'Escape') {
+      handleRasterMouseLeave();
+      return;
+    }
+
+    const direction = LOUPE_ARROW_STEPS[e.key];
+    if (!direction || !rasterImageRef.current) return;
+    e.preventDefault();
+
+    const rect = rasterImageRef.current.getBoundingClientRect();
+    const step = e.shiftKey ? LOUPE_STEP * 3 : LOUPE_STEP;
+    const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+    setLoupePosition((prev) => {
+      const bgX = clamp((prev.visible ? prev.bgX : rect.width / 2) + direction[0] * step, rect.width);
+      const bgY = clamp((prev.visible ? prev.bgY : rect.height / 2) + direction[1] * step, rect.height);
+      return { x: rect.left + bgX, y: rect.top + bgY, bgX, bgY, visible: true };
+    });
+  }, [openRasterPopup, handleRasterMouseLeave]);
+
+  // Compare image types by value so hosts can pass inline arrays
+  const imageTypesKey = imageTypes.join(',');
+
+  // Client-side rendering mode: draw the supplied sequence and dot-bracket, or
+  // the overlays computed from a Stockholm alignment, instead of fetching images
+  const isClientRendered = Boolean((sequence && structure) || alignment);
+  const clientImages = useMemo(() => {
+    if (sequence && structure) {
+      try {
+        return {
+          types: [CLIENT_STRUCTURE_TYPE],
+          images: { [CLIENT_STRUCTURE_TYPE]: renderStructureSvg(sequence, structure) },
+        };
+      } catch (error) {
+        return { types: [], images: {}, error: new ImageLoadError('invalid-structure', error.message, { cause: error }) };
+      }
+    }
+
+    if (alignment) {
+      try {
+        const stats = computeAlignmentStats(parseStockholm(alignment));
+        const requested = imageTypesKey.split(',').filter(t => ALIGNMENT_OVERLAY_TYPES.includes(t));
+        const types = requested.length > 0 ? requested : ALIGNMENT_OVERLAY_TYPES;
+        const images = Object.fromEntries(types.map(type => [type, renderAlignmentOverlay(stats, type)]));
+        return { types, images };
+      } catch (error) {
+        return { types: [], images: {}, error: new ImageLoadError('invalid-alignment', error.message, { cause: error }) };
+      }
+    }
+
+    return null;
+  }, [sequence, structure, alignment, imageTypesKey]);
 
-  // Initial load effect
   useEffect(() => {
-    const initializeImages = async () => {
-      const available = [];
+    if (!clientImages) return;
+
+    // Drop any image request still in flight from a previous family
+    startImageRequest();
+    setIsImageNotAvailable(false);
+    setAvailableTypes(clientImages.types);
+    callbacksRef.current.onAvailabilityResolved?.({
+      familyAcc: null,
+      availableTypes: clientImages.types,
+      type: null,
+      available: !clientImages.error,
+    });
+
+    if (clientImages.error) {
+      showLoadError(clientImages.error, alignment ? 'Unable to read the alignment' : 'Unable to draw the structure');
+      return;
+    }
+
+    const [firstType] = clientImages.types;
+    setSelectedImageType(firstType);
+    setSvgContent(clientImages.images[firstType]);
+    setImageStatus('loaded');
+  }, [clientImages, alignment, startImageRequest, showLoadError]);
 
-      // Filter to only dropdown types for availability check
-      const typesToCheck = imageTypes.filter(t => DROPDOWN_IMAGE_TYPES.includes(t));
+  // Initial load effect: probe all types concurrently, fill the dropdown as the
+  // probes return and show the highest-priority type as soon as it is known good
+  useEffect(() => {
+    if (!familyAcc || isClientRendered) return undefined;
+
+    let selecting = false;
+    let settled = false;
+    let reported = false;
+    let lastError = null;
+    // Probes have their own controller: picking a type only supersedes the
+    // image load below, and the dropdown keeps filling in
+    const discovery = new AbortController();
+    const { signal } = discovery;
+    // Drops any image request still in flight from a previous family
+    let imageRequest = startImageRequest();
+    const typesToCheck = imageTypesKey.split(',').filter(isSelectableImageType);
+    // A controlled selection, or else a deep-linked type, is shown first when it is available
+    const preferredType = selectedTypePropRef.current ?? pendingUrlStateRef.current?.type;
+    const selectionOrder = typesToCheck.includes(preferredType)
+      ? [preferredType, ...typesToCheck.filter(t => t !== preferredType)]
+      : typesToCheck;
+    const results = {};
 
-      for (const type of typesToCheck) {
-        const isAvailable = await checkImageAvailability(type);
-        if (isAvailable) {
-          available.push(type);
+    setImageStatus('loading');
+    setIsImageNotAvailable(false);
+    setAvailableTypes([]);
+
+    const publishAvailable = () => {
+      setAvailableTypes(typesToCheck.filter(t => results[t] === true));
+    };
+
+    // Report once every probe is in and an image has been shown (or none can be)
+    const reportAvailability = () => {
+      if (reported || typesToCheck.some(t => results[t] === undefined)) return;
+      if (!settled && typesToCheck.some(t => results[t])) return;
+      reported = true;
+      const types = typesToCheck.filter(t => results[t] === true);
+      callbacksRef.current.onAvailabilityResolved?.({ familyAcc, availableTypes: types, type: null, available: types.length > 0 });
+    };
+
+    const selectFirstAvailable = async () => {
+      if (selecting || settled || signal.aborted) return;
+      // Another image request replaced ours: a type was picked while probes were pending
+      if (imageRequestRef.current !== imageRequest) {
+        settled = true;
+        reportAvailability();
+        return;
+      }
+      selecting = true;
+
+      for (const type of selectionOrder) {
+        // A higher-priority probe is still pending; wait for it
+        if (results[type] === undefined) break;
+        if (!results[type]) continue;
+
+        imageRequest = startImageRequest();
+        try {
+          const result = await loadImage(type, imageRequest.signal);
+          if (signal.aborted) return;
+          if (imageRequest.signal.aborted) {
+            settled = true;
+            break;
+          }
+
+          if (result.isAvailable) {
+            settled = true;
+            setSvgContent(result.content);
+            setSelectedImageType(type);
+            setImageStatus('loaded');
+            break;
+          }
+        } catch (error) {
+          if (signal.aborted) return;
+          if (error.kind === 'aborted') {
+            settled = true;
+            break;
+          }
+          console.warn(`Failed to load ${type}:`, error);
+          lastError = error;
         }
+
+        // The probe succeeded but the image itself is missing or the "not available" placeholder
+        results[type] = false;
+        publishAvailable();
       }
 
-      setAvailableTypes(available);
+      selecting = false;
+      reportAvailability();
 
-      if (available.length > 0) {
-        await tryLoadImage(available);
-      } else {
-        setImageStatus('error');
-        setErrorMessage('No secondary structure images available for this family.');
+      if (!settled && typesToCheck.every(t => results[t] === false)) {
+        showLoadError(
+          lastError || new ImageLoadError('not-available'),
+          'Unable to load any secondary structure image for this family'
+        );
       }
     };
 
-    if (familyAcc && imageTypes.length > 0) {
-      initializeImages();
-    }
+    const recordResult = (type, isAvailable, error = null) => {
+      if (signal.aborted) return;
+      results[type] = isAvailable;
+      if (error) lastError = error;
+      publishAvailable();
+      reportAvailability();
+      selectFirstAvailable();
+    };
+
+    const probeType = (type) => {
+      checkImageAvailability(type, signal).then(
+        (isAvailable) => recordResult(type, isAvailable),
+        (error) => {
+          if (error.kind === 'aborted') return;
+          console.warn(`Availability check failed for ${type}:`, error);
+          recordResult(type, false, error);
+        }
+      );
+    };
+
+    const discoverTypes = async () => {
+      if (typesToCheck.length === 0) {
+        selectFirstAvailable();
+        return;
+      }
+
+      // Prefer a single manifest lookup when the data source offers one.
+      // Types with their own url or load are not in it and are probed.
+      if (source.getAvailableTypes) {
+        try {
+          const manifest = await source.getAvailableTypes(familyAcc, { signal });
+          if (signal.aborted) return;
+          const ownSourceTypes = typesToCheck.filter((type) => sourceForImageType(source, type) !== source);
+          typesToCheck.forEach((type) => {
+            if (!ownSourceTypes.includes(type)) results[type] = manifest.includes(type);
+          });
+          publishAvailable();
+          ownSourceTypes.forEach(probeType);
+          selectFirstAvailable();
+          return;
+        } catch (error) {
+          if (signal.aborted) return;
+          console.warn('Manifest lookup failed, probing types individually:', error);
+        }
+      }
+
+      typesToCheck.forEach(probeType);
+    };
+
+    discoverTypes();
 
     return () => {
+      discovery.abort();
+      imageRequest.abort();
       if (panZoomInstanceRef.current) {
         panZoomInstanceRef.current.destroy();
         panZoomInstanceRef.current = null;
       }
-      if (panZoomCykInstanceRef.current) {
-        panZoomCykInstanceRef.current.destroy();
-        panZoomCykInstanceRef.current = null;
+      if (panZoomCompanionInstanceRef.current) {
+        panZoomCompanionInstanceRef.current.destroy();
+        panZoomCompanionInstanceRef.current = null;
       }
     };
-  }, [familyAcc, imageTypes, checkImageAvailability, tryLoadImage]);
+  }, [familyAcc, imageTypesKey, source, discoveryAttempt, isClientRendered, checkImageAvailability, loadImage, startImageRequest, showLoadError]);
 
-  // Load R-scape CYK when R-scape is selected
+  // Report each settled main image to the host
   useEffect(() => {
-    if (selectedImageType === 'rscape' && imageStatus === 'loaded') {
-      loadRscapeCyk();
+    const callbacks = callbacksRef.current;
+    if (imageStatus === 'error') {
+      callbacks.onError?.({ familyAcc, type: selectedImageType, kind: errorKind, message: errorMessage });
+    } else if (imageStatus === 'loaded' && isImageNotAvailable) {
+      // The server sent its "not available" placeholder for this type
+      callbacks.onAvailabilityResolved?.({ familyAcc, availableTypes, type: selectedImageType, available: false });
+    } else if (imageStatus === 'loaded') {
+      callbacks.onLoad?.({ familyAcc, type: selectedImageType });
     }
-  }, [selectedImageType, imageStatus, loadRscapeCyk]);
+    // familyAcc and availableTypes are reported as they stand, not watched:
+    // a new family would otherwise report the previous family's image
+  }, [imageStatus, isImageNotAvailable, selectedImageType, errorKind, errorMessage]);
 
-  // Process main R-scape SVG after content loads (no timeout — DOM is committed before effects run)
+  // Load the companion panel once the main image is in
+  const companionType = companion?.type;
   useEffect(() => {
-    if (imageStatus === 'loaded' && svgContent && svgContent.includes('<svg') && selectedImageType === 'rscape') {
-      processRscapeSvg(svgContainerRef, setRscapeStats);
+    if (companionType && imageStatus === 'loaded') {
+      const controller = new AbortController();
+      loadCompanion(companionType, controller.signal);
+      return () => controller.abort();
     }
-  }, [imageStatus, svgContent, selectedImageType, processRscapeSvg]);
+    return undefined;
+  }, [companionType, imageStatus, loadCompanion]);
 
-  // Initialize pan/zoom after rscapeStats are set so the stats paragraph is already rendered
-  // and the container has its final dimensions before svg-pan-zoom calculates the viewport.
+  // Run the type's SVG processor after content loads (no timeout — DOM is committed before effects run)
+  useEffect(() => {
+    const svgElement = svgContainerRef.current?.querySelector('svg');
+    if (imageStatus === 'loaded' && svgElement && typeDefinition?.processSvg) {
+      setMainStats(typeDefinition.processSvg(svgElement) || {});
+    }
+  }, [imageStatus, svgContent, typeDefinition]);
+
+  // Build the structure model for whichever SVG is in the main panel
+  useEffect(() => {
+    if (imageStatus === 'loaded' && !isImageNotAvailable && svgContent?.includes('<svg')) {
+      publishStructureModel('main', svgContainerRef, selectedImageType);
+    }
+  }, [imageStatus, isImageNotAvailable, svgContent, selectedImageType, publishStructureModel]);
+
+  // Pan/zoom for the types that have it and for client-drawn images. Waits for
+  // the processor's stats so the stats paragraph is already rendered and the
+  // container has its final dimensions before svg-pan-zoom calculates the viewport.
+  const isClientImage = Boolean(clientImages?.images[selectedImageType]);
+  const mainPanZoom = Boolean(typeDefinition?.panZoom) || isClientImage;
+  const mainProcessed = !typeDefinition?.processSvg || Boolean(mainStats);
   useEffect(() => {
-    if (rscapeStats && imageStatus === 'loaded' && svgContent && svgContent.includes('<svg') && selectedImageType === 'rscape') {
+    if (mainPanZoom && mainProcessed && imageStatus === 'loaded' && svgContent?.includes('<svg')) {
       const timer = setTimeout(() => {
-        initializePanZoom(svgContainerRef, panZoomInstanceRef);
+        initializePanZoom(svgContainerRef, panZoomInstanceRef, companion ? panZoomCompanionInstanceRef : null);
       }, 50);
       return () => clearTimeout(timer);
     }
-  }, [rscapeStats, imageStatus, svgContent, selectedImageType, initializePanZoom]);
+    return undefined;
+  }, [mainPanZoom, mainProcessed, imageStatus, svgContent, selectedImageType, companion, initializePanZoom]);
 
-  // Process R-scape CYK SVG after content loads
+  // Process the companion SVG after content loads
   useEffect(() => {
-    if (rscapeCykStatus === 'loaded' && rscapeCykContent && rscapeCykContent.includes('<svg')) {
-      processRscapeSvg(svgContainerCykRef, setRscapeCykStats);
+    const svgElement = svgContainerCompanionRef.current?.querySelector('svg');
+    if (companionStatus === 'loaded' && svgElement && companionDefinition) {
+      setCompanionStats(companionDefinition.processSvg?.(svgElement) || {});
+      publishStructureModel('cacofold', svgContainerCompanionRef, companionDefinition.id);
     }
-  }, [rscapeCykStatus, rscapeCykContent, processRscapeSvg]);
+  }, [companionStatus, companionContent, companionDefinition, publishStructureModel]);
 
-  // Initialize CYK pan/zoom after rscapeCykStats are set
+  // Recolour the panels whose fills follow the palette. Runs after processing,
+  // which reads the fills in either palette; other types keep their own colours.
   useEffect(() => {
-    if (rscapeCykStats && rscapeCykStatus === 'loaded' && rscapeCykContent && rscapeCykContent.includes('<svg')) {
+    if (typeDefinition?.palette) remapSvgColors(svgContainerRef.current?.querySelector('svg'), palette);
+    if (companionDefinition?.palette) remapSvgColors(svgContainerCompanionRef.current?.querySelector('svg'), palette);
+  }, [palette, typeDefinition, companionDefinition, svgContent, companionContent]);
+
+  // Initialize companion pan/zoom once it is processed
+  useEffect(() => {
+    if (companionStats && companionDefinition?.panZoom && companionStatus === 'loaded' && companionContent?.includes('<svg')) {
       const timer = setTimeout(() => {
-        initializePanZoom(svgContainerCykRef, panZoomCykInstanceRef);
+        initializePanZoom(svgContainerCompanionRef, panZoomCompanionInstanceRef, panZoomInstanceRef);
       }, 50);
       return () => clearTimeout(timer);
     }
-  }, [rscapeCykStats, rscapeCykStatus, rscapeCykContent, initializePanZoom]);
+    return undefined;
+  }, [companionStats, companionDefinition, companionStatus, companionContent, initializePanZoom]);
+
+  // Bring the companion panel in line with the main panel when views are linked
+  useEffect(() => {
+    if (viewsLinked) mirrorLinkedView(panZoomInstanceRef, panZoomCompanionInstanceRef);
+  }, [viewsLinked, mirrorLinkedView]);
+
+  // Pairs present in only one of the two structures (Rfam and CaCoFold), or
+  // whose significance changed
+  const companionDiff = Boolean(companion?.diff);
+  const structureDiff = useMemo(() => {
+    const { main, cacofold } = structureModels;
+    if (!diffEnabled || !companionDiff || main?.type !== selectedImageType || !cacofold) return null;
+    return diffStructureModels(main, cacofold);
+  }, [diffEnabled, companionDiff, selectedImageType, structureModels]);
+
+  // Colour both panels by diff status
+  useEffect(() => {
+    if (!structureDiff) return undefined;
+
+    const marked = [];
+    const mark = (model, pair, classNames) => {
+      [pair.element, model.nucleotides[pair.i].element, model.nucleotides[pair.j].element].forEach((element) => {
+        classNames.forEach((className) => element.classList.add(className));
+        marked.push([element, classNames]);
+      });
+    };
+
+    structureDiff.pairs.forEach(({ status, rfamPair, cacofoldPair, significanceChange }) => {
+      const classNames = [`ss-diff-${status}`];
+      if (significanceChange) classNames.push('ss-diff-significance-changed');
+      if (rfamPair) mark(structureModels.main, rfamPair, classNames);
+      if (cacofoldPair) mark(structureModels.cacofold, cacofoldPair, classNames);
+    });
+
+    return () => {
+      marked.forEach(([element, classNames]) => element.classList.remove(...classNames));
+    };
+  }, [structureDiff, structureModels]);
 
   // Reset toggle state when image type changes
   useEffect(() => {
     setSvgToggleState(1);
   }, [selectedImageType]);
 
-  const handleImageTypeChange = useCallback(async (type) => {
-    if (type === selectedImageType) return;
+  const showImageType = useCallback(async (type) => {
+    const controller = startImageRequest();
 
     // Cleanup previous pan/zoom instances
     if (panZoomInstanceRef.current) {
       panZoomInstanceRef.current.destroy();
       panZoomInstanceRef.current = null;
     }
-    if (panZoomCykInstanceRef.current) {
-      panZoomCykInstanceRef.current.destroy();
-      panZoomCykInstanceRef.current = null;
+    if (panZoomCompanionInstanceRef.current) {
+      panZoomCompanionInstanceRef.current.destroy();
+      panZoomCompanionInstanceRef.current = null;
     }
 
     setImageStatus('loading');
     setSelectedImageType(type);
-    setRscapeStats(null);
-    setRscapeCykStats(null);
+    setMainStats(null);
+    setCompanionStats(null);
     setIsImageNotAvailable(false);
-    setRscapeCykContent('');
-    setRscapeCykStatus('loading');
+    setCompanionContent('');
+    setCompanionStatus('loading');
 
-    const result = await loadImage(type);
+    // Client-rendered types are already drawn
+    if (clientImages?.images[type]) {
+      setSvgContent(clientImages.images[type]);
+      setImageStatus('loaded');
+      return;
+    }
 
-    if (result) {
+    try {
+      const result = await loadImage(type, controller.signal);
+      if (controller.signal.aborted) return;
       setSvgContent(result.content);
       setIsImageNotAvailable(!result.isAvailable);
       setImageStatus('loaded');
+    } catch (error) {
+      // A newer type or family request replaced this one
+      if (error.kind === 'aborted') return;
+      showLoadError(error, `Failed to load ${getImageTypeLabel(type)} image`);
+    }
+  }, [clientImages, loadImage, startImageRequest, showLoadError]);
+
+  const handleImageTypeChange = useCallback((type) => {
+    if (type === selectedImageType) return;
+    // Controlled: only ask the host. Nothing changes, nor is reported as
+    // changed, unless it passes the new type back in.
+    if (isControlled) {
+      requestedTypeRef.current = type;
+      callbacksRef.current.onSelectedTypeChange?.(type);
+      return;
+    }
+    callbacksRef.current.onTypeChange?.({ familyAcc, type, previousType: selectedImageType });
+    callbacksRef.current.onSelectedTypeChange?.(type);
+    // A deep link still being restored is superseded
+    pendingUrlStateRef.current = null;
+    showImageType(type);
+  }, [familyAcc, selectedImageType, isControlled, showImageType]);
+
+  // Follow the controlled type once the current request has settled. A type
+  // the family lacks is ignored, leaving the discovered fallback in place
+  useEffect(() => {
+    if (!isControlled || selectedType === selectedImageType || imageStatus === 'loading') return;
+    if (!availableTypes.includes(selectedType)) return;
+    // The host accepted the user's pick
+    if (requestedTypeRef.current === selectedType) {
+      callbacksRef.current.onTypeChange?.({ familyAcc, type: selectedType, previousType: selectedImageType });
+      if (pendingUrlStateRef.current?.type !== selectedType) pendingUrlStateRef.current = null;
+    }
+    requestedTypeRef.current = null;
+    showImageType(selectedType);
+  }, [isControlled, selectedType, selectedImageType, imageStatus, availableTypes, familyAcc, showImageType]);
+
+  // Retry the failed request: the type that failed, or the whole discovery if nothing was found
+  const handleRetry = useCallback(() => {
+    if (availableTypes.length > 0) {
+      showImageType(selectedImageType);
     } else {
-      setImageStatus('error');
-      setErrorMessage(`Failed to load ${type} image.`);
+      setDiscoveryAttempt((attempt) => attempt + 1);
     }
-  }, [selectedImageType, loadImage]);
+  }, [availableTypes, selectedImageType, showImageType]);
 
   const openVarnaViewer = useCallback(() => {
     const varnaUrl = buildVarnaUrl();
     window.open(varnaUrl, '_blank', 'width=1200,height=800');
   }, [buildVarnaUrl]);
 
-  const downloadImage = useCallback(() => {
-    if (!svgContent) return;
-
-    const isSvg = svgContent.includes('<svg');
-    const blob = isSvg
-      ? new Blob([svgContent], { type: 'image/svg+xml' })
-      : new Blob([svgContent], { type: 'image/png' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = isSvg
-      ? `${familyAcc}_${selectedImageType}_structure.svg`
-      : `${familyAcc}_${selectedImageType}_structure.png`;
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-  }, [svgContent, familyAcc, selectedImageType]);
-
-  const getImageTypeLabel = (type) => {
-    return IMAGE_TYPE_INFO[type]?.label || type.toUpperCase();
-  };
+  const descriptionHtml = useMemo(() => {
+    const description = typeDefinition?.description || '';
+    return sanitize ? sanitizeHtml(description) : description;
+  }, [typeDefinition, sanitize]);
+
+  // Compose the current view (the panel and its companion, legend, stats and
+  // description as selected) into a figure. Shared by the export menu and
+  // the ref handle
+  const composeExport = useCallback(async ({
+    format = 'png',
+    dpi = 300,
+    includeLegend = true,
+    includeDescription = false,
+    includeStats = true,
+  } = {}) => {
+    const svgPanel = (definition, title, content, stats, containerRef) => ({
+      title,
+      stats: includeStats && stats && definition.formatStats ? definition.formatStats(stats) : null,
+      content: definition.palette ? remapSvgMarkup(content, palette) : content,
+      liveSvg: containerRef.current?.querySelector('svg'),
+      removeIds: definition.exportRemoveIds,
+    });
+
+    let panels;
+    if (typeDefinition?.format === 'raster') {
+      panels = [{ image: await loadRasterImage(source, familyAcc, selectedImageType) }];
+    } else {
+      panels = [svgPanel(typeDefinition || {}, typeDefinition?.title, svgContent, mainStats, svgContainerRef)];
+      if (companionDefinition && companionStatus === 'loaded' && !isCompanionNotAvailable && companionContent?.includes('<svg')) {
+        panels.push(svgPanel(companionDefinition, companion.title, companionContent, companionStats, svgContainerCompanionRef));
+      }
+    }
+
+    const label = getImageTypeLabel(selectedImageType);
+    const figure = buildFigureSvg({
+      title: familyAcc ? `${familyAcc} - ${label}` : label,
+      panels,
+      legend: includeLegend ? paletteLegendSections(typeDefinition?.legendSections, palette) : null,
+      description: includeDescription && descriptionHtml ? htmlToText(descriptionHtml) : null,
+    });
+    return {
+      blob: await renderFigure(figure, { format, dpi }),
+      fileName: `${familyAcc || 'custom'}_${selectedImageType}_structure.${format}`,
+    };
+  }, [
+    selectedImageType, typeDefinition, companion, companionDefinition, svgContent, mainStats, companionStatus,
+    isCompanionNotAvailable, companionContent, companionStats, source, familyAcc, descriptionHtml, palette,
+  ]);
+
+  // Export the current view (the panel and its companion, legend, stats and
+  // description as selected in the menu) and download it
+  const handleExport = useCallback(async () => {
+    setExportStatus({ busy: true, error: null });
+    try {
+      const { blob, fileName } = await composeExport(exportOptions);
+      downloadBlob(blob, fileName);
+      setExportStatus({ busy: false, error: null });
+      setExportMenuOpen(false);
+    } catch (error) {
+      console.warn('Failed to export figure:', error);
+      setExportStatus({ busy: false, error: error.message || 'The figure could not be exported' });
+    }
+  }, [composeExport, exportOptions]);
+
+  // Models are kept per panel; only offer the ones for what is on screen
+  const hasStructureData = structureModels.main?.type === selectedImageType && structureModels.main.nucleotides.length > 0;
+  const hasCompanionData = Boolean(companion) && companionStatus === 'loaded'
+    && !isCompanionNotAvailable && Boolean(structureModels.cacofold);
+
+  // Download the drawn structure (main or companion panel) as text
+  const handleStructureDownload = useCallback(() => {
+    const { dataFormat } = exportOptions;
+    const dataPanel = exportOptions.dataPanel === 'cacofold' && hasCompanionData ? 'cacofold' : 'main';
+    const model = structureModels[dataPanel];
+    if (!model) return;
+
+    const panelName = dataPanel === 'cacofold' ? 'cacofold' : null;
+    const title = [familyAcc || 'custom', selectedImageType, panelName].filter(Boolean).join(' ');
+    const format = STRUCTURE_FORMATS[dataFormat];
+    let content;
+    try {
+      content = formatStructureModel(model, dataFormat, { title });
+    } catch (error) {
+      setExportStatus({ busy: false, error: error.message });
+      return;
+    }
+    setExportStatus({ busy: false, error: null });
+    downloadBlob(
+      new Blob([content], { type: format.mimeType }),
+      `${title.replace(/ /g, '_')}.${format.extension}`
+    );
+  }, [exportOptions, hasCompanionData, structureModels, familyAcc, selectedImageType]);
+
+  const updateExportOption = useCallback((name, value) => {
+    setExportOptions((previous) => ({ ...previous, [name]: value }));
+  }, []);
+
+  // Mark nucleotides by position (and pairs with both ends marked), optionally
+  // centring each panel on them. An empty list clears the highlight.
+  const highlightPositions = useCallback((positions = [], { panel = 'both', focus = false } = {}) => {
+    const wanted = new Set(positions);
+    const panels = panel === 'both' ? ['main', 'cacofold'] : [panel];
+    const elements = [];
+    let matched = 0;
+
+    panels.forEach((name) => {
+      const model = structureModelsRef.current[name];
+      if (!model?.nucleotides[0]?.element.isConnected) return;
+
+      const hits = model.nucleotides.filter((nucleotide) => wanted.has(nucleotide.position));
+      matched += hits.length;
+      elements.push(...hits.map((nucleotide) => nucleotide.element));
+      model.pairs.forEach((pair) => {
+        if (wanted.has(model.nucleotides[pair.i].position) && wanted.has(model.nucleotides[pair.j].position)) {
+          elements.push(pair.element);
+        }
+      });
+
+      const instance = (name === 'cacofold' ? panZoomCompanionInstanceRef : panZoomInstanceRef).current;
+      if (focus && instance && hits.length > 0) {
+        centerPanZoomOn(instance, {
+          x: hits.reduce((total, { x }) => total + x, 0) / hits.length,
+          y: hits.reduce((total, { y }) => total + y, 0) / hits.length,
+        });
+      }
+    });
+
+    positionHighlightRef.current = replaceHighlight(positionHighlightRef.current, elements, 'ss-highlight-positions');
+    highlightedPositionsRef.current = { positions: [...wanted], panel };
+    return matched;
+  }, []);
+
+  // Highlighted positions carry over to newly shown content
+  useEffect(() => {
+    const { positions, panel } = highlightedPositionsRef.current;
+    if (positions.length > 0) highlightPositions(positions, { panel });
+  }, [structureModels, highlightPositions]);
+
+  const propAnnotations = useMemo(() => {
+    try {
+      return { list: parseAnnotations(annotations), error: null };
+    } catch (error) {
+      return { list: [], error: `annotations prop: ${error.message}` };
+    }
+  }, [annotations]);
+  const allAnnotations = useMemo(
+    () => [...propAnnotations.list, ...(fileAnnotations?.list || [])],
+    [propAnnotations, fileAnnotations]
+  );
+  const annotationError = annotationFileError || propAnnotations.error;
+
+  // Draw the annotations over each panel that shows a structure, again
+  // whenever new content is read. The layer sits in the SVG itself, so it
+  // follows pan/zoom and is picked up by exports.
+  useEffect(() => {
+    let drawn = 0;
+    [['main', svgContainerRef], ['cacofold', svgContainerCompanionRef]].forEach(([panel, containerRef]) => {
+      const svgElement = containerRef.current?.querySelector('svg');
+      const model = structureModels[panel];
+      const current = Boolean(svgElement && model?.nucleotides[0] && svgElement.contains(model.nucleotides[0].element));
+      if (!annotationsVisible || !current) {
+        removeAnnotationLayer(svgElement);
+        return;
+      }
+      drawn = Math.max(drawn, drawAnnotationLayer(svgElement, model, allAnnotations));
+    });
+    setAnnotationsDrawn(drawn);
+  }, [structureModels, allAnnotations, annotationsVisible]);
+
+  const handleAnnotationFile = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    // Let the same file be picked again after editing it
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setFileAnnotations({ name: file.name, list: parseAnnotations(await file.text()) });
+      setAnnotationFileError(null);
+      setAnnotationsVisible(true);
+    } catch (error) {
+      setAnnotationFileError(`${file.name}: ${error.message}`);
+    }
+  }, []);
+
+  // Search hits in the main panel, recomputed for new content
+  const searchModel = hasStructureData ? structureModels.main : null;
+  const searchQuery = useMemo(() => parseStructureQuery(searchText), [searchText]);
+  const searchMatches = useMemo(() => findStructureMatches(searchModel, searchQuery), [searchModel, searchQuery]);
+
+  useEffect(() => {
+    setSearchIndex(-1);
+  }, [searchMatches]);
+
+  // Mark every hit, and the current one more strongly. Pairs are marked when
+  // both ends are in the same hit.
+  useEffect(() => {
+    const hitElements = (indices) => {
+      const inHit = new Set(indices);
+      return [
+        ...indices.map((index) => searchModel.nucleotides[index].element),
+        ...searchModel.pairs.filter(({ i, j }) => inHit.has(i) && inHit.has(j)).map(({ element }) => element),
+      ];
+    };
+    const { matches, current } = searchHighlightRef.current;
+    searchHighlightRef.current = {
+      matches: replaceHighlight(matches, searchMatches.flatMap(hitElements), 'ss-search-match'),
+      current: replaceHighlight(current, searchMatches[searchIndex] ? hitElements(searchMatches[searchIndex]) : [], 'ss-search-current'),
+    };
+  }, [searchModel, searchMatches, searchIndex]);
+
+  // Step to the next (1) or previous (-1) hit, wrapping around, and bring it into view
+  const stepSearch = useCallback((direction) => {
+    if (searchMatches.length === 0) return;
+    const count = searchMatches.length;
+    const next = searchIndex === -1 && direction < 0 ? count - 1 : (searchIndex + direction + count) % count;
+    setSearchIndex(next);
+
+    const nucleotides = searchMatches[next].map((index) => searchModel.nucleotides[index]);
+    const instance = panZoomInstanceRef.current;
+    if (instance) {
+      focusPanZoomOn(instance, nucleotides);
+    } else {
+      // Types without pan/zoom (cons, norm, ...) scroll the middle of the hit into view instead
+      nucleotides[Math.floor(nucleotides.length / 2)].element?.scrollIntoView?.({ block: 'center', inline: 'center', behavior: 'smooth' });
+    }
+  }, [searchMatches, searchIndex, searchModel]);
+
+  const handleSearchKeyDown = useCallback((e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      stepSearch(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape' && searchText) {
+      e.stopPropagation();
+      setSearchText('');
+    }
+  }, [stepSearch, searchText]);
+
+  let searchStatus = '';
+  if (searchText.trim() && !searchQuery) searchStatus = SEARCH_HINT;
+  else if (searchQuery && searchMatches.length === 0) searchStatus = 'No matches';
+  else if (searchMatches.length > 0 && searchIndex === -1) {
+    searchStatus = `${searchMatches.length} ${searchMatches.length === 1 ? 'match' : 'matches'}`;
+  } else if (searchMatches[searchIndex]) {
+    searchStatus = `${searchIndex + 1} of ${searchMatches.length}: ${describeStructureMatch(searchModel, searchMatches[searchIndex])}`;
+  }
+
+  // Write the visible state to the URL. Parts of a deep link that are still
+  // waiting for their panel are kept, so a half-restored link is not lost.
+  const syncUrlState = useCallback(({ push = false } = {}) => {
+    if (!urlMode || imageStatus !== 'loaded') return;
+
+    const views = {};
+    [['main', panZoomInstanceRef], ['cacofold', panZoomCompanionInstanceRef]].forEach(([panel, instanceRef]) => {
+      if (instanceRef.current) views[panel] = { zoom: instanceRef.current.getZoom(), ...instanceRef.current.getPan() };
+    });
+    const [helixPanel, helixId] = helixHighlightRef.current.key?.split(':') || [];
+    const pending = pendingUrlStateRef.current?.type === selectedImageType ? pendingUrlStateRef.current : null;
+
+    writeUrlState(urlMode, urlKey, {
+      type: selectedImageType,
+      views: { ...views, ...pending?.views },
+      layers: pending?.layers ?? svgToggleState,
+      positions: highlightedPositionsRef.current.positions,
+      helix: pending?.helix ?? (helixPanel ? { panel: helixPanel, id: Number(helixId) } : null),
+    }, { push });
+  }, [urlMode, urlKey, imageStatus, selectedImageType, svgToggleState]);
+  syncUrlStateRef.current = syncUrlState;
+
+  // Apply whatever parts of a restored deep link the view is ready for
+  const applyPendingUrlState = useCallback(() => {
+    const pending = pendingUrlStateRef.current;
+    if (!pending || imageStatus !== 'loaded') return;
+    if (pending.type !== selectedImageType) {
+      // The linked type is not available for this family
+      if (!availableTypes.includes(pending.type)) pendingUrlStateRef.current = null;
+      return;
+    }
+
+    [['main', panZoomInstanceRef], ['cacofold', panZoomCompanionInstanceRef]].forEach(([panel, instanceRef]) => {
+      const view = pending.views[panel];
+      if (!view || !instanceRef.current) return;
+      delete pending.views[panel];
+      instanceRef.current.zoom(view.zoom);
+      instanceRef.current.pan({ x: view.x, y: view.y });
+    });
 
-  const isRscapeType = selectedImageType === 'rscape';
-  const isRchieType = selectedImageType === 'rchie';
-  const canToggle = !isRscapeType && !isRchieType && svgContent?.includes('<svg');
+    const svgElement = svgContainerRef.current?.querySelector('svg');
+    if (pending.layers !== undefined && svgElement) {
+      if (setLayerVisibility(svgElement, pending.layers)) setSvgToggleState(pending.layers);
+      pending.layers = undefined;
+    }
+
+    if (pending.helix === null) {
+      clearHelixSelection();
+      pending.helix = undefined;
+    } else if (pending.helix) {
+      const { panel, id } = pending.helix;
+      const model = structureModelsRef.current[panel];
+      if (model?.nucleotides[0]?.element.isConnected) {
+        const helix = model.helices[id - 1];
+        if (helix && helixHighlightRef.current.key !== `${panel}:${id}`) selectHelix(helix.pairs[0].element);
+        pending.helix = undefined;
+      }
+    }
+  }, [imageStatus, selectedImageType, availableTypes, clearHelixSelection, selectHelix]);
+  applyPendingUrlStateRef.current = applyPendingUrlState;
+
+  useEffect(() => {
+    applyPendingUrlState();
+  }, [applyPendingUrlState, svgContent, structureModels]);
+
+  // Record each newly shown type: a new history entry when the user picked
+  // it, a replaced one on first load and when restoring a link
+  const urlTypeRef = useRef(null);
+  useEffect(() => {
+    if (!urlMode || imageStatus !== 'loaded' || urlTypeRef.current === selectedImageType) return;
+    const restoring = pendingUrlStateRef.current?.type === selectedImageType;
+    const push = urlTypeRef.current !== null && !restoring;
+    urlTypeRef.current = selectedImageType;
+    syncUrlState({ push });
+  }, [urlMode, imageStatus, selectedImageType, syncUrlState]);
+
+  // Layer toggles adjust the current entry
+  useEffect(() => {
+    syncUrlStateRef.current();
+  }, [svgToggleState]);
+
+  // In controlled mode a deep-linked type is requested from the host
+  useEffect(() => {
+    const linkedType = pendingUrlStateRef.current?.type;
+    if (isControlled && linkedType && linkedType !== selectedTypePropRef.current) {
+      callbacksRef.current.onSelectedTypeChange?.(linkedType);
+    }
+    // Only for the link the page was opened with
+  }, []);
+
+  // Back and forward restore the state stored in the entry
+  useEffect(() => {
+    if (!urlMode) return undefined;
+
+    const handlePopState = () => {
+      const state = readUrlState(urlMode, urlKey);
+      if (!state) return;
+
+      const type = availableTypes.includes(state.type) ? state.type : selectedImageType;
+      pendingUrlStateRef.current = { ...state, type };
+      highlightPositions(state.positions);
+      if (type === selectedImageType) {
+        applyPendingUrlState();
+      } else if (isControlled) {
+        callbacksRef.current.onSelectedTypeChange?.(type);
+      } else {
+        showImageType(type);
+      }
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [urlMode, urlKey, availableTypes, selectedImageType, isControlled, highlightPositions, applyPendingUrlState, showImageType]);
+
+  useEffect(() => () => clearTimeout(urlSyncTimerRef.current), []);
+
+  // Imperative API for hosts that script the viewer
+  useImperativeHandle(ref, () => {
+    const panZoomInstances = (panel = 'main') => {
+      const refs = {
+        main: [panZoomInstanceRef],
+        cacofold: [panZoomCompanionInstanceRef],
+        both: [panZoomInstanceRef, panZoomCompanionInstanceRef],
+      }[panel] || [];
+      return refs.map((instanceRef) => instanceRef.current).filter(Boolean);
+    };
+    // Returns false when the view has no pan/zoom (e.g. R-chie)
+    const withPanZoom = (panel, action) => {
+      const instances = panZoomInstances(panel);
+      instances.forEach(action);
+      return instances.length > 0;
+    };
+
+    return {
+      selectType: handleImageTypeChange,
+      zoomIn: (panel) => withPanZoom(panel, (instance) => instance.zoomIn()),
+      zoomOut: (panel) => withPanZoom(panel, (instance) => instance.zoomOut()),
+      fit: (panel) => withPanZoom(panel, (instance) => {
+        instance.fit();
+        instance.center();
+      }),
+      reset: (panel) => withPanZoom(panel, (instance) => instance.reset()),
+      highlightPositions: (...args) => {
+        const matched = highlightPositions(...args);
+        syncUrlStateRef.current({ push: true });
+        return matched;
+      },
+      getStructure: (panel = 'main') => structureModelsRef.current[panel] || null,
+      exportImage: async ({ download = false, fileName, ...options } = {}) => {
+        const result = await composeExport(options);
+        if (download) downloadBlob(result.blob, fileName || result.fileName);
+        return result.blob;
+      },
+    };
+  }, [handleImageTypeChange, highlightPositions, composeExport]);
+
+  const isRasterType = typeDefinition?.format === 'raster';
+  const canToggle = Boolean(typeDefinition?.layers) && svgContent?.includes('<svg');
+  const TypeLegend = typeDefinition?.legend;
+  const imageAlt = typeDefinition?.imageAlt || `${getImageTypeLabel(selectedImageType)} secondary structure`;
+
+  // Keyboard and screen-reader wiring shared by the structure views
+  const structureViewProps = (panel, label) => ({
+    tabIndex: 0,
+    role: 'application',
+    'aria-roledescription': 'secondary structure',
+    'aria-label': label,
+    'aria-describedby': `${accessibleIds}-${panel}-summary ${accessibleIds}-help`,
+    onKeyDown: (e) => handleStructureKeyDown(e, panel),
+    onBlur: clearKeyboardFocus,
+  });
+  const structureSummary = (panel) => (
+    <p id={`${accessibleIds}-${panel}-summary`} className="ss-visually-hidden">
+      {structureModels[panel] ? summarizeStructure(structureModels[panel]) : ''}
+    </p>
+  );
+
+  const differingPairs = structureDiff
+    ? structureDiff.pairs.filter((pair) => pair.status !== PAIR_STATUS.shared || pair.significanceChange)
+    : [];
 
   // Filter available types to only show dropdown types
-  const dropdownTypes = availableTypes.filter(t => DROPDOWN_IMAGE_TYPES.includes(t));
+  const dropdownTypes = availableTypes.filter(isSelectableImageType);
 
   return (
-    <div className="secondary-structures-tab">
+    <div {...themeRootProps({ className: 'secondary-structures-tab', theme, palette, variables: themeVariables })}>
       <div className="ss-controls">
         {dropdownTypes.length > 1 && (
           <div className="ss-control-group">
@@ -531,30 +1709,219 @@ const SecondaryStructure = ({
           </div>
         )}
 
+        {companion && companionStatus === 'loaded' && !isCompanionNotAvailable && (
+          <div className="ss-control-group">
+            <label className="ss-link-views" title="Mirror zoom and pan between the two structures">
+              <input
+                type="checkbox"
+                checked={viewsLinked}
+                onChange={(e) => setViewsLinked(e.target.checked)}
+              />
+              Link views
+            </label>
+            {companion.diff && (
+              <label className="ss-link-views" title="Colour pairs found in only one structure and list gained and lost helices">
+                <input
+                  type="checkbox"
+                  checked={diffEnabled}
+                  onChange={(e) => setDiffEnabled(e.target.checked)}
+                />
+                Show differences
+              </label>
+            )}
+          </div>
+        )}
+
+        {imageStatus === 'loaded' && !isImageNotAvailable && !isRasterType && (
+          <div className="ss-control-group">
+            <label className="ss-annotation-load vf-button vf-button--secondary" title="Load annotations from a BED or JSON file">
+              <input
+                type="file"
+                accept=".bed,.json,.txt,.tsv"
+                className="ss-visually-hidden"
+                onChange={handleAnnotationFile}
+              />
+              Load annotations
+            </label>
+            {allAnnotations.length > 0 && (
+              <label className="ss-link-views" title="Draw the annotations over the structure and include them in exports">
+                <input
+                  type="checkbox"
+                  checked={annotationsVisible}
+                  onChange={(e) => setAnnotationsVisible(e.target.checked)}
+                />
+                Show annotations
+              </label>
+            )}
+            {fileAnnotations && (
+              <button
+                type="button"
+                onClick={() => setFileAnnotations(null)}
+                title={`Remove the annotations loaded from ${fileAnnotations.name}`}
+                className="vf-button vf-button--secondary"
+              >
+                Clear file
+              </button>
+            )}
+            {annotationError && <span className="ss-annotation-error" role="alert">{annotationError}</span>}
+            {!annotationError && annotationsVisible && annotationsDrawn < allAnnotations.length && (
+              <span className="ss-annotation-status">
+                {annotationsDrawn} of {allAnnotations.length} annotations fall within this structure
+              </span>
+            )}
+          </div>
+        )}
+
         <div className="ss-actions">
-          {varnaEnabled && (
+          {varnaEnabled && familyAcc && buildVarnaUrl() && (
             <button onClick={openVarnaViewer} title="Open interactive VARNA viewer" class="vf-button vf-button--secondary">
               <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" style={{marginRight: '6px', verticalAlign: 'middle'}}><path d="M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6"/><polyline points="15 3 21 3 21 9"/><line x1="10" y1="14" x2="21" y2="3"/></svg>
               Launch VARNA Viewer
             </button>
           )}
           {imageStatus === 'loaded' && !isImageNotAvailable && (
-            <button onClick={downloadImage} title="Download current image" class="vf-button vf-button--secondary">
-              <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" style={{marginRight: '6px', verticalAlign: 'middle'}}><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
-              Download Image
-            </button>
+            <div className="ss-export">
+              <button
+                onClick={() => setExportMenuOpen((open) => !open)}
+                title="Export the current view as PNG, PDF or SVG"
+                aria-expanded={exportMenuOpen}
+                className="vf-button vf-button--secondary"
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" style={{marginRight: '6px', verticalAlign: 'middle'}}><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg>
+                Export Image
+              </button>
+              {exportMenuOpen && (
+                <div className="ss-export-menu">
+                  <label>
+                    Format
+                    <select value={exportOptions.format} onChange={(e) => updateExportOption('format', e.target.value)}>
+                      {EXPORT_FORMATS.map((format) => (
+                        <option key={format} value={format}>{format.toUpperCase()}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Resolution
+                    <select
+                      value={exportOptions.dpi}
+                      onChange={(e) => updateExportOption('dpi', Number(e.target.value))}
+                      disabled={exportOptions.format === 'svg'}
+                    >
+                      {EXPORT_DPI_OPTIONS.map((dpi) => (
+                        <option key={dpi} value={dpi}>{dpi} DPI</option>
+                      ))}
+                    </select>
+                  </label>
+                  {typeDefinition?.legendSections && (
+                    <label className="ss-export-check">
+                      <input
+                        type="checkbox"
+                        checked={exportOptions.includeLegend}
+                        onChange={(e) => updateExportOption('includeLegend', e.target.checked)}
+                      />
+                      Include legend
+                    </label>
+                  )}
+                  <label className="ss-export-check">
+                    <input
+                      type="checkbox"
+                      checked={exportOptions.includeDescription}
+                      onChange={(e) => updateExportOption('includeDescription', e.target.checked)}
+                    />
+                    Include description
+                  </label>
+                  {typeDefinition?.formatStats && (
+                    <label className="ss-export-check">
+                      <input
+                        type="checkbox"
+                        checked={exportOptions.includeStats}
+                        onChange={(e) => updateExportOption('includeStats', e.target.checked)}
+                      />
+                      Include significance stats
+                    </label>
+                  )}
+                  <button onClick={handleExport} disabled={exportStatus.busy} className="vf-button vf-button--secondary">
+                    {exportStatus.busy ? 'Exporting...' : 'Download image'}
+                  </button>
+                  {exportStatus.error && <p className="ss-export-error">{exportStatus.error}</p>}
+                  {hasStructureData && (
+                    <>
+                      <h5 className="ss-export-heading">Structure data</h5>
+                      <label>
+                        Format
+                        <select value={exportOptions.dataFormat} onChange={(e) => updateExportOption('dataFormat', e.target.value)}>
+                          {Object.entries(STRUCTURE_FORMATS).map(([format, { label }]) => (
+                            <option key={format} value={format}>{label}</option>
+                          ))}
+                        </select>
+                      </label>
+                      {hasCompanionData && (
+                        <label>
+                          Structure
+                          <select value={exportOptions.dataPanel} onChange={(e) => updateExportOption('dataPanel', e.target.value)}>
+                            <option value="main">{typeDefinition?.title || getImageTypeLabel(selectedImageType)}</option>
+                            <option value="cacofold">{companion.title}</option>
+                          </select>
+                        </label>
+                      )}
+                      <button onClick={handleStructureDownload} className="vf-button vf-button--secondary">
+                        Download structure
+                      </button>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
           )}
         </div>
       </div>
 
       {/* Description */}
-      {showDescription && imageStatus === 'loaded' && !isImageNotAvailable && IMAGE_TYPE_INFO[selectedImageType] && (
+      {showDescription && imageStatus === 'loaded' && !isImageNotAvailable && descriptionHtml && (
         <div className="ss-description">
-          <p dangerouslySetInnerHTML={{ __html: IMAGE_TYPE_INFO[selectedImageType].description }} />
+          <p dangerouslySetInnerHTML={{ __html: descriptionHtml }} />
+        </div>
+      )}
+
+      {hasStructureData && (
+        <div className="ss-search" role="search">
+          <label htmlFor={`${accessibleIds}-search`}>Find:</label>
+          <input
+            id={`${accessibleIds}-search`}
+            type="search"
+            value={searchText}
+            placeholder="42, 10-20 or GNRA"
+            title={SEARCH_HINT}
+            aria-describedby={`${accessibleIds}-search-status`}
+            onChange={(e) => setSearchText(e.target.value)}
+            onKeyDown={handleSearchKeyDown}
+          />
+          <button
+            type="button"
+            onClick={() => stepSearch(-1)}
+            disabled={searchMatches.length === 0}
+            title="Previous match (Shift+Enter)"
+            className="vf-button vf-button--secondary"
+          >
+            Previous
+          </button>
+          <button
+            type="button"
+            onClick={() => stepSearch(1)}
+            disabled={searchMatches.length === 0}
+            title="Next match (Enter)"
+            className="vf-button vf-button--secondary"
+          >
+            Next
+          </button>
+          <span id={`${accessibleIds}-search-status`} className="ss-search-status" aria-live="polite">{searchStatus}</span>
         </div>
       )}
 
       <div className="ss-content">
+        <p id={`${accessibleIds}-help`} className="ss-visually-hidden">{STRUCTURE_KEYBOARD_HELP}</p>
+        <div className="ss-visually-hidden" aria-live="polite" aria-atomic="true">{announcement}</div>
+
         {imageStatus === 'loading' && (
           <div className="ss-loading">
             <div className="ss-spinner"></div>
@@ -565,8 +1932,13 @@ const SecondaryStructure = ({
         {imageStatus === 'error' && (
           <div className="ss-error">
             <div className="ss-error-icon"></div>
-            <h4>Unable to Load Structure</h4>
+            <h4>{LOAD_ERROR_DETAILS[errorKind]?.title || 'Unable to Load Structure'}</h4>
             <p>{errorMessage}</p>
+            {!isClientRendered && (
+              <button onClick={handleRetry} className="vf-button vf-button--secondary ss-retry-button">
+                Retry
+              </button>
+            )}
           </div>
         )}
 
@@ -578,103 +1950,203 @@ const SecondaryStructure = ({
           </div>
         )}
 
-        {/* R-scape side-by-side view */}
-        {imageStatus === 'loaded' && !isImageNotAvailable && isRscapeType && svgContent?.includes('<svg') && (
+        {/* Side-by-side view of a type and its companion (R-scape and CaCoFold) */}
+        {imageStatus === 'loaded' && !isImageNotAvailable && companion && svgContent?.includes('<svg') && (
           <div className="ss-rscape-side-by-side">
-            {/* Current Rfam structure */}
+            {/* Main panel */}
             <div className="ss-rscape-panel">
-              <h3>Current Rfam structure</h3>
-              {rscapeStats && (
-                <p className="ss-rscape-stats-inline">
-                  <strong>{rscapeStats.significantBasepairs}</strong> out of{' '}
-                  <strong>{rscapeStats.basepairs}</strong> basepairs are significant at E-value=0.05
-                </p>
+              <h3>{typeDefinition.title || getImageTypeLabel(selectedImageType)}</h3>
+              {mainStats && typeDefinition.renderStats && (
+                <p className="ss-rscape-stats-inline">{typeDefinition.renderStats(mainStats)}</p>
               )}
               <div
-                key="rscape-main-svg"
+                key="main-svg"
                 ref={svgContainerRef}
                 className="ss-rscape-container"
                 onMouseMove={handleSvgMouseMove}
                 onMouseLeave={handleSvgMouseLeave}
+                onClick={handleStructureClick}
+                {...structureViewProps('main', typeDefinition.title || `${getImageTypeLabel(selectedImageType)} structure`)}
                 dangerouslySetInnerHTML={{ __html: svgContent }}
               />
+              {structureSummary('main')}
             </div>
 
-            {/* R-scape optimised structure */}
+            {/* Companion panel */}
             <div className="ss-rscape-panel">
-              <h3>R-scape optimised structure</h3>
-              {rscapeCykStatus === 'loaded' && !isRscapeCykNotAvailable && rscapeCykStats && (
-                <p className="ss-rscape-stats-inline">
-                  <strong>{rscapeCykStats.significantBasepairs}</strong> out of{' '}
-                  <strong>{rscapeCykStats.basepairs}</strong> basepairs are significant at E-value=0.05
-                </p>
+              <h3>{companion.title}</h3>
+              {companionStatus === 'loaded' && !isCompanionNotAvailable && companionStats && companionDefinition?.renderStats && (
+                <p className="ss-rscape-stats-inline">{companionDefinition.renderStats(companionStats)}</p>
               )}
-              {rscapeCykStatus === 'loaded' && isRscapeCykNotAvailable && (
+              {companionStatus === 'loaded' && isCompanionNotAvailable && (
                 <p className="ss-rscape-stats-inline ss-not-available-inline">
-                  R-scape optimised structure not available for this family.
+                  {companion.title} not available for this family.
                 </p>
               )}
-              {(rscapeCykStatus === 'error' || (rscapeCykStatus === 'loaded' && isRscapeCykNotAvailable)) ? null : (
-                rscapeCykStatus === 'loading' ? (
+              {(companionStatus === 'error' || (companionStatus === 'loaded' && isCompanionNotAvailable)) ? null : (
+                companionStatus === 'loading' ? (
                   <div className="ss-rscape-container">
                     <div className="ss-loading">
                       <div className="ss-spinner"></div>
                       <p>Loading secondary structure...</p>
                     </div>
                   </div>
-                ) : rscapeCykContent?.includes('<svg') && (
+                ) : companionContent?.includes('<svg') && (
                   <div
-                    key="rscape-cyk-svg"
-                    ref={svgContainerCykRef}
+                    key="companion-svg"
+                    ref={svgContainerCompanionRef}
                     className="ss-rscape-container"
                     onMouseMove={handleSvgMouseMove}
                     onMouseLeave={handleSvgMouseLeave}
-                    dangerouslySetInnerHTML={{ __html: rscapeCykContent }}
+                    onClick={handleStructureClick}
+                    {...structureViewProps('cacofold', companion.title)}
+                    dangerouslySetInnerHTML={{ __html: companionContent }}
                   />
                 )
               )}
-              {rscapeCykStatus === 'error' && (
+              {companionStatus === 'loaded' && !isCompanionNotAvailable && structureSummary('cacofold')}
+              {companionStatus === 'error' && (
                 <p className="ss-rscape-stats-inline ss-not-available-inline">
-                  Failed to load R-scape optimised structure.
+                  Failed to load {companion.title}.
                 </p>
               )}
             </div>
           </div>
         )}
 
-        {/* Non-R-scape SVG images */}
-        {imageStatus === 'loaded' && !isImageNotAvailable && !isRscapeType && svgContent && svgContent.includes('<svg') && (
+        {/* Rfam vs CaCoFold structure differences */}
+        {structureDiff && (
+          <div className="ss-structure-diff">
+            <h3>Structure differences</h3>
+            <ul className="ss-diff-legend">
+              <li><span className="ss-diff-swatch ss-diff-swatch-rfam-only"></span>Rfam only</li>
+              <li><span className="ss-diff-swatch ss-diff-swatch-cacofold-only"></span>CaCoFold only</li>
+              <li><span className="ss-diff-swatch ss-diff-swatch-significance"></span>Significance changed</li>
+            </ul>
+
+            <table className="ss-diff-table">
+              <thead>
+                <tr>
+                  <th>Pairs in both</th>
+                  <th>Rfam only</th>
+                  <th>CaCoFold only</th>
+                  <th>Became significant</th>
+                  <th>No longer significant</th>
+                </tr>
+              </thead>
+              <tbody>
+                <tr>
+                  <td>{structureDiff.summary.shared}</td>
+                  <td>{structureDiff.summary.rfamOnly}</td>
+                  <td>{structureDiff.summary.cacofoldOnly}</td>
+                  <td>{structureDiff.summary.significanceGained}</td>
+                  <td>{structureDiff.summary.significanceLost}</td>
+                </tr>
+              </tbody>
+            </table>
+
+            <h4>Helices</h4>
+            {structureDiff.helices.gained.length + structureDiff.helices.lost.length + structureDiff.helices.changed.length === 0 ? (
+              <p className="ss-diff-empty">The two structures have the same helices.</p>
+            ) : (
+              <table className="ss-diff-table">
+                <thead>
+                  <tr>
+                    <th>Change</th>
+                    <th>Helix</th>
+                    <th>Positions (5&apos; / 3&apos;)</th>
+                    <th>Pairs</th>
+                    <th>Significant pairs</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[
+                    ['Gained', 'CaCoFold', structureDiff.helices.gained],
+                    ['Lost', 'Rfam', structureDiff.helices.lost],
+                    ['Changed', 'Rfam', structureDiff.helices.changed],
+                  ].flatMap(([change, structureName, helices]) => helices.map((helix) => (
+                    <tr key={`${change}-${helix.id}`}>
+                      <td>{change}</td>
+                      <td>{structureName} H{helix.id}</td>
+                      <td>{formatHelixSpan(helix)}</td>
+                      <td>{change === 'Changed' ? `${helix.kept} of ${helix.pairs} kept` : helix.pairs}</td>
+                      <td>{helix.significantPairs}</td>
+                    </tr>
+                  )))}
+                </tbody>
+              </table>
+            )}
+
+            <details className="ss-diff-pairs">
+              <summary>
+                Differing pairs ({differingPairs.length})
+              </summary>
+              <table className="ss-diff-table">
+                <thead>
+                  <tr>
+                    <th>Pair</th>
+                    <th>Present in</th>
+                    <th>Significant in Rfam</th>
+                    <th>Significant in CaCoFold</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {differingPairs.map((pair) => (
+                    <tr key={`${pair.i}-${pair.j}`} className={`ss-diff-row-${pair.status}`}>
+                      <td>{pair.i}-{pair.j}</td>
+                      <td>{DIFF_STATUS_LABELS[pair.status]}</td>
+                      <td>{pair.rfamPair ? (pair.rfamSignificant ? 'Yes' : 'No') : '-'}</td>
+                      <td>{pair.cacofoldPair ? (pair.cacofoldSignificant ? 'Yes' : 'No') : '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </details>
+          </div>
+        )}
+
+        {/* Single SVG images */}
+        {imageStatus === 'loaded' && !isImageNotAvailable && !companion && !isRasterType && svgContent?.includes('<svg') && (
           <div className="ss-image-container">
             {canToggle && (
               <div className="ss-info-text">
-                Click on the structure to toggle display of sequence labels and base pairs
+                Click a base pair to select its helix, or elsewhere on the structure to toggle display of sequence labels and base pairs
               </div>
             )}
             <div
               ref={svgContainerRef}
-              className="ss-svg-wrapper"
-              onClick={canToggle ? handleSvgClick : undefined}
+              className={`ss-svg-wrapper${mainPanZoom ? ' ss-svg-wrapper-pannable' : ''}`}
+              onMouseMove={handleSvgMouseMove}
+              onMouseLeave={handleSvgMouseLeave}
+              onClick={handleStructureClick}
+              {...structureViewProps('main', `${getImageTypeLabel(selectedImageType)} structure`)}
               dangerouslySetInnerHTML={{ __html: svgContent }}
             />
+            {structureSummary('main')}
           </div>
         )}
 
-        {/* R-chie special handling with loupe */}
-        {imageStatus === 'loaded' && !isImageNotAvailable && isRchieType && (
+        {/* Raster images (R-chie) with a loupe */}
+        {imageStatus === 'loaded' && !isImageNotAvailable && isRasterType && (
           <div className="ss-image-container ss-rchie-container">
             <div className="ss-info-text">
-              Move your mouse over the image to magnify, click to open full image
+              Move your mouse over the image (or use the arrow keys) to magnify, click or press Enter to open full image
             </div>
             <div
               className="ss-rchie-wrapper"
-              onMouseMove={handleRchieMouseMove}
-              onMouseLeave={handleRchieMouseLeave}
-              onClick={openRchiePopup}
+              onMouseMove={handleRasterMouseMove}
+              onMouseLeave={handleRasterMouseLeave}
+              onClick={openRasterPopup}
+              onKeyDown={handleRasterKeyDown}
+              onBlur={handleRasterMouseLeave}
+              tabIndex={0}
+              role="button"
+              aria-label={`${imageAlt}. Arrow keys move the magnifier, Enter opens the full image`}
             >
               <img
-                ref={rchieImageRef}
-                src={buildImageUrl('rchie')}
-                alt="R-chie secondary structure"
+                ref={rasterImageRef}
+                src={svgContent}
+                alt={imageAlt}
                 className="ss-rchie-image"
               />
             </div>
@@ -682,95 +2154,9 @@ const SecondaryStructure = ({
         )}
       </div>
 
-      {/* R-scape Legend and Tips */}
-      {showLegend && imageStatus === 'loaded' && !isImageNotAvailable && isRscapeType && (
-        <div className="ss-rscape-footer">
-          <div className="ss-legend ss-rscape-legend">
-            <h4>Legend</h4>
-            <ul>
-              <li className="legend-label">Colours</li>
-              <li>
-                <span className="legend-color significant-basepair"></span>
-                Statistically significant basepair with covariation
-              </li>
-              <li>
-                <span className="legend-color conserved-97"></span>
-                97% conserved nucleotide
-              </li>
-              <li>
-                <span className="legend-color conserved-90"></span>
-                90% conserved nucleotide
-              </li>
-              <li>
-                <span className="legend-color conserved-75"></span>
-                75% conserved nucleotide
-              </li>
-              <li>
-                <span className="legend-color conserved-50"></span>
-                50% conserved nucleotide
-              </li>
-              <li className="legend-label">Nucleotides</li>
-              <li><strong>R</strong>: A or G</li>
-              <li><strong>Y</strong>: C or U</li>
-            </ul>
-            <p className="ss-legend-tip">
-              <strong>Tip:</strong> The diagrams are <strong>interactive</strong> -
-              you can <strong>pan</strong> and <strong>zoom</strong> to see more details
-              or <strong>hover</strong> over nucleotides and basepairs.
-            </p>
-          </div>
-        </div>
-      )}
-
-      {/* R-chie Legend */}
-      {showLegend && imageStatus === 'loaded' && !isImageNotAvailable && isRchieType && (
-        <div className="ss-legend ss-rchie-legend">
-          <h4>Legend</h4>
-          <ul>
-            <li className="legend-label">Arc colours</li>
-            <li>
-              <span className="legend-color arc-full"></span>
-              100% canonical basepair
-            </li>
-            <li>
-              <span className="legend-color arc-half"></span>
-              50%
-            </li>
-            <li>
-              <span className="legend-color arc-none"></span>
-              0%
-            </li>
-            <li className="legend-label">Nucleotide colours</li>
-            <li>
-              <span className="legend-color nuc-valid"></span>
-              Valid basepairing
-            </li>
-            <li>
-              <span className="legend-color nuc-two-sided"></span>
-              Two-sided covariation
-            </li>
-            <li>
-              <span className="legend-color nuc-one-sided"></span>
-              One-sided covariation
-            </li>
-            <li>
-              <span className="legend-color nuc-invalid"></span>
-              Invalid
-            </li>
-            <li>
-              <span className="legend-color nuc-unpaired"></span>
-              Unpaired
-            </li>
-            <li>
-              <span className="legend-color nuc-gap"></span>
-              Gap
-            </li>
-            <li>
-              <span className="legend-color nuc-ambiguous"></span>
-              Ambiguous
-            </li>
-          </ul>
-        </div>
+      {/* Legend and tips for the selected type */}
+      {showLegend && imageStatus === 'loaded' && !isImageNotAvailable && TypeLegend && (
+        <TypeLegend />
       )}
 
       {/* Tooltip */}
@@ -786,29 +2172,92 @@ const SecondaryStructure = ({
         </div>
       )}
 
-      {/* Loupe magnifier for R-chie */}
-      {loupePosition.visible && isRchieType && rchieImageRef.current && (
+      {/* Loupe magnifier for raster images */}
+      {loupePosition.visible && isRasterType && rasterImageRef.current && (
         <div
           className="ss-loupe"
           style={{
             left: loupePosition.x - 100,
             top: loupePosition.y - 100,
-            backgroundImage: `url(${buildImageUrl('rchie')})`,
+            backgroundImage: `url("${svgContent}")`,
             backgroundPosition: `-${loupePosition.bgX * 2 - 100}px -${loupePosition.bgY * 2 - 100}px`,
           }}
         />
       )}
     </div>
   );
-};
+});
+
+SecondaryStructure.displayName = 'SecondaryStructure';
 
 SecondaryStructure.propTypes = {
-  familyAcc: PropTypes.string.isRequired,
+  // Required unless a sequence and structure are drawn client-side
+  familyAcc: (props, propName, componentName) => {
+    const value = props[propName];
+    if (value === undefined || value === null) {
+      if ((props.sequence && props.structure) || props.alignment) return null;
+      return new Error(`The prop \`${propName}\` is required in \`${componentName}\` unless \`sequence\` and \`structure\`, or \`alignment\`, are supplied.`);
+    }
+    if (typeof value !== 'string') {
+      return new Error(`Invalid prop \`${propName}\` supplied to \`${componentName}\`, expected \`string\`.`);
+    }
+    return null;
+  },
   imageTypes: PropTypes.arrayOf(PropTypes.string),
   apiBaseUrl: PropTypes.string,
   varnaEnabled: PropTypes.bool,
   showLegend: PropTypes.bool,
   showDescription: PropTypes.bool,
+  dataSource: PropTypes.shape({
+    getImageUrl: PropTypes.func.isRequired,
+    getVarnaUrl: PropTypes.func.isRequired,
+    checkAvailability: PropTypes.func.isRequired,
+    loadImage: PropTypes.func.isRequired,
+  }),
+  fetcher: PropTypes.func,
+  requestTimeout: PropTypes.number,
+  maxRetries: PropTypes.number,
+  retryDelay: PropTypes.number,
+  sanitize: PropTypes.bool,
+  sequence: PropTypes.string,
+  structure: PropTypes.string,
+  alignment: PropTypes.string,
+  onStructureModel: PropTypes.func,
+  onLoad: PropTypes.func,
+  onError: PropTypes.func,
+  onTypeChange: PropTypes.func,
+  onNucleotideHover: PropTypes.func,
+  onPairClick: PropTypes.func,
+  onAvailabilityResolved: PropTypes.func,
+  linkViews: PropTypes.bool,
+  showDiff: PropTypes.bool,
+  selectedType: PropTypes.string,
+  onSelectedTypeChange: PropTypes.func,
+  urlState: PropTypes.oneOf([false, true, 'hash', 'query']),
+  urlStateKey: PropTypes.string,
+  theme: PropTypes.oneOf(THEMES),
+  // Overrides for the theme's custom properties, without the --ss- prefix
+  themeVariables: PropTypes.objectOf(PropTypes.string),
+  palette: PropTypes.oneOf(Object.keys(PALETTES)),
+  // Annotation objects, or BED or JSON text (see annotations.js)
+  annotations: PropTypes.oneOfType([PropTypes.arrayOf(PropTypes.object), PropTypes.string]),
+  showAnnotations: PropTypes.bool,
 };
 
+export { createHttpDataSource, createRfamDataSource, createMemoryDataSource } from './dataSource';
+export { configureImageCache, prefetchImages, invalidateImageCache } from './imageCache';
+export { ImageLoadError } from './loadErrors';
+export { sanitizeSvg, sanitizeHtml } from './sanitize';
+export { renderStructureSvg } from './renderStructure';
+export { parseDotBracket } from './dotBracket';
+export { parseStockholm } from './stockholm';
+export { computeAlignmentStats, renderAlignmentOverlay } from './alignmentOverlays';
+export { extractStructureModel, summarizeStructure } from './structureModel';
+export { THEMES, PALETTES, RSCAPE_COLORS } from './theme';
+export { registerImageType, unregisterImageType, getImageType } from './imageTypes';
+export { diffStructureModels } from './structureDiff';
+export { parseAnnotations } from './annotations';
+export { modelToDotBracket, formatStructureModel } from './structureFormats';
+export { default as SecondaryStructureGrid } from './SecondaryStructureGrid';
+
 export default SecondaryStructure;
@@ -0,0 +1,194 @@
+import { parseDotBracket, closingBracket } from './dotBracket';
+import { renderStructureSvg } from './renderStructure';
+import { COLOR_SCALES, rainbowColor } from './colorScales';
+
+// Browser-side versions of the Rfam cons, fcbp, cov and ent plots, computed
+// from a parsed Stockholm alignment and painted onto a client-drawn structure.
+
+export const ALIGNMENT_OVERLAY_TYPES = ['cons', 'fcbp', 'cov', 'ent'];
+
+const NUCLEOTIDES = ['A', 'C', 'G', 'U'];
+const CANONICAL_PAIRS = new Set(['AU', 'UA', 'GC', 'CG', 'GU', 'UG']);
+const BACKGROUND_FREQUENCY = 0.25;
+const UNPAIRED_FILL = '#adb5bd';
+
+const normalise = (char) => {
+  const upper = char.toUpperCase();
+  return upper === 'T' ? 'U' : upper;
+};
+
+const isGap = (char) => char === '-' || char === '.' || char === '_' || char === '~';
+
+const countColumn = (columns) => {
+  const counts = { A: 0, C: 0, G: 0, U: 0 };
+  columns.forEach((char) => {
+    const residue = normalise(char);
+    if (residue in counts) counts[residue] += 1;
+  });
+  return counts;
+};
+
+// Fraction of all sequences carrying the most common nucleotide (gaps count against it)
+export function columnConservation(columns) {
+  const counts = countColumn(columns);
+  return Math.max(...Object.values(counts)) / columns.length;
+}
+
+// Sum of f * log2(f / background) over the four nucleotides, each
+// over-represented residue adding and each under-represented one taking away.
+// Frequencies are over the residues in the column: gaps and ambiguity codes
+// are not symbols, and a column without residues scores 0. Unlike the server
+// plot's description, no column then has every nucleotide under-represented,
+// so scores are never negative.
+export function columnEntropy(columns) {
+  const counts = countColumn(columns);
+  const residues = NUCLEOTIDES.reduce((total, residue) => total + counts[residue], 0);
+  if (residues === 0) return 0;
+  return NUCLEOTIDES.reduce((total, residue) => {
+    const frequency = counts[residue] / residues;
+    return frequency > 0 ? total + frequency * Math.log2(frequency / BACKGROUND_FREQUENCY) : total;
+  }, 0);
+}
+
+// Fraction of sequences with an A:U, G:C or G:U pair at columns i and j
+export function pairCanonicalFraction(sequences, i, j) {
+  const canonical = sequences.filter(({ sequence }) => (
+    CANONICAL_PAIRS.has(normalise(sequence[i]) + normalise(sequence[j]))
+  ));
+  return canonical.length / sequences.length;
+}
+
+// Compare the pair in every sequence with the pair in every other sequence:
+// each comparison scores the number of positions that changed (0-2), positive
+// when both pairs are canonical (co-variant) and negative otherwise
+// (anti-co-variant). The result is the mean over all comparisons, from -2
+// to +2. Sequences without a nucleotide (a gap or an ambiguity code) at
+// either column have no pair to compare and are left out; with fewer than
+// two pairs left the score is 0.
+export function pairCovariation(sequences, i, j) {
+  const pairs = sequences
+    .map(({ sequence }) => normalise(sequence[i]) + normalise(sequence[j]))
+    .filter((pair) => NUCLEOTIDES.includes(pair[0]) && NUCLEOTIDES.includes(pair[1]));
+  if (pairs.length < 2) return 0;
+
+  let score = 0;
+  for (let a = 0; a < pairs.length; a += 1) {
+    for (let b = a + 1; b < pairs.length; b += 1) {
+      const changes = (pairs[a][0] !== pairs[b][0] ? 1 : 0) + (pairs[a][1] !== pairs[b][1] ? 1 : 0);
+      const coVariant = CANONICAL_PAIRS.has(pairs[a]) && CANONICAL_PAIRS.has(pairs[b]);
+      score += coVariant ? changes : -changes;
+    }
+  }
+
+  return score / ((pairs.length * (pairs.length - 1)) / 2);
+}
+
+// Pick the columns to draw: non-gap #=GC RF columns when present, otherwise
+// columns that are residues in at least half of the sequences.
+const selectColumns = ({ sequences, length, columnAnnotations }) => {
+  const reference = columnAnnotations.RF;
+  const columns = [];
+
+  for (let column = 0; column < length; column += 1) {
+    if (reference) {
+      if (!isGap(reference[column])) columns.push(column);
+    } else {
+      const residues = sequences.filter(({ sequence }) => !isGap(sequence[column])).length;
+      if (residues * 2 >= sequences.length) columns.push(column);
+    }
+  }
+  return columns;
+};
+
+// Compute every overlay for an alignment. Positions in the result are indices
+// into the drawn (consensus) sequence; `columns[i]` is the alignment column.
+export function computeAlignmentStats(alignment) {
+  const ssCons = alignment.columnAnnotations.SS_cons;
+  if (!ssCons) {
+    throw new Error('Alignment has no #=GC SS_cons line');
+  }
+
+  const { sequences } = alignment;
+  const columns = selectColumns(alignment);
+  const positionOf = new Map(columns.map((column, index) => [column, index]));
+
+  const columnResidues = columns.map((column) => sequences.map(({ sequence }) => sequence[column]));
+  const consensus = columnResidues.map((residues) => {
+    const counts = countColumn(residues);
+    const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+    return count > 0 ? best : 'N';
+  }).join('');
+
+  // Keep pairs whose columns are both drawn, preserving their bracket type
+  const structureChars = new Array(columns.length).fill('.');
+  const pairs = [];
+  parseDotBracket(ssCons).pairs.forEach(({ i, j, bracket }) => {
+    if (!positionOf.has(i) || !positionOf.has(j)) return;
+    const first = positionOf.get(i);
+    const second = positionOf.get(j);
+    structureChars[first] = bracket;
+    structureChars[second] = closingBracket(bracket);
+    pairs.push({
+      i: first,
+      j: second,
+      fcbp: pairCanonicalFraction(sequences, i, j),
+      cov: pairCovariation(sequences, i, j),
+    });
+  });
+
+  return {
+    consensus,
+    structure: structureChars.join(''),
+    columns,
+    sequenceCount: sequences.length,
+    conservation: columnResidues.map(columnConservation),
+    entropy: columnResidues.map(columnEntropy),
+    pairs,
+  };
+}
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+
+const formatSigned = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+
+// Render one overlay type as an SVG string
+export function renderAlignmentOverlay(stats, type) {
+  if (!ALIGNMENT_OVERLAY_TYPES.includes(type)) {
+    throw new Error(`Unknown alignment overlay: ${type}`);
+  }
+  const { domain } = COLOR_SCALES[type];
+
+  const length = stats.consensus.length;
+  const columnNotes = stats.columns.map((column) => `alignment column ${column + 1}`);
+  let nucleotideFills;
+  let nucleotideNotes;
+  let pairStroke = () => null;
+
+  if (type === 'cons' || type === 'ent') {
+    const values = type === 'cons' ? stats.conservation : stats.entropy;
+    const format = type === 'cons'
+      ? (value) => `conservation ${formatPercent(value)}`
+      : (value) => `entropy ${value.toFixed(2)} bits`;
+    nucleotideFills = values.map((value) => rainbowColor(value, domain));
+    nucleotideNotes = values.map((value, index) => `${columnNotes[index]}, ${format(value)}`);
+  } else {
+    const pairValues = new Map();
+    nucleotideFills = new Array(length).fill(UNPAIRED_FILL);
+    nucleotideNotes = [...columnNotes];
+
+    stats.pairs.forEach((pair) => {
+      const value = pair[type];
+      const color = rainbowColor(value, domain);
+      const label = type === 'fcbp' ? `canonical pairs ${formatPercent(value)}` : `covariation ${formatSigned(value)}`;
+      pairValues.set(`${pair.i}-${pair.j}`, color);
+      [pair.i, pair.j].forEach((position) => {
+        nucleotideFills[position] = color;
+        nucleotideNotes[position] = `${columnNotes[position]}, ${label}`;
+      });
+    });
+
+    pairStroke = (i, j) => pairValues.get(`${i}-${j}`) || null;
+  }
+
+  return renderStructureSvg(stats.consensus, stats.structure, { nucleotideFills, nucleotideNotes, pairStroke });
+}
@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'vitest';
+import {
+  columnConservation,
+  columnEntropy,
+  computeAlignmentStats,
+  pairCanonicalFraction,
+  pairCovariation,
+} from './alignmentOverlays';
+import { parseStockholm } from './stockholm';
+
+// One sequence per pair, columns 0 and 1
+const pairs = (...dinucleotides) => dinucleotides.map((sequence, index) => ({ name: `s${index}`, sequence }));
+
+const ALIGNMENT = `# STOCKHOLM 1.0
+s1 GGAAACC
+s2 GAAAAUC
+s3 AGAAACU
+s4 GG-AACA
+#=GC SS_cons ((...))
+//`;
+
+describe('pairCovariation', () => {
+  it.each([
+    ['every comparison changes both sides of canonical pairs', ['GC', 'AU', 'CG', 'UA'], 2],
+    ['every comparison changes both sides of non-canonical pairs', ['AA', 'CC', 'GG', 'UU'], -2],
+    ['the pair never changes', ['GC', 'GC', 'GC'], 0],
+    // GC-AU +2, GC-GU +1, AU-GU +1
+    ['some comparisons change one side', ['GC', 'AU', 'GU'], 4 / 3],
+    // GC-AU +2, GC-GU +1, AU-GU +1, GC-GA -1, AU-GA -2, GU-GA -1
+    ['a non-canonical pair is compared with canonical ones', ['GC', 'AU', 'GU', 'GA'], 0],
+    ['T is read as U and case is ignored', ['gc', 'at'], 2],
+  ])('scores %s', (_, dinucleotides, expected) => {
+    expect(pairCovariation(pairs(...dinucleotides), 0, 1)).toBeCloseTo(expected);
+  });
+
+  it('leaves out sequences without a nucleotide at either column', () => {
+    expect(pairCovariation(pairs('GC', 'AU', 'G-', '.U', 'NC'), 0, 1)).toBeCloseTo(2);
+  });
+
+  it('scores 0 with fewer than two pairs to compare', () => {
+    expect(pairCovariation(pairs('GC'), 0, 1)).toBe(0);
+    expect(pairCovariation(pairs('GC', '--'), 0, 1)).toBe(0);
+  });
+});
+
+describe('columnEntropy', () => {
+  it.each([
+    ['a single nucleotide', 'AAAA', 2],
+    ['two nucleotides evenly', 'AACC', 1],
+    ['all four evenly', 'ACGU', 0],
+    // 0.5 log2 2 + 2 * 0.25 log2 1
+    ['one over-represented nucleotide and two at background', 'AACG', 0.5],
+    ['residues only, not gaps', 'AA--', 2],
+    ['a column without residues', '----', 0],
+  ])('scores %s', (_, column, expected) => {
+    expect(columnEntropy([...column])).toBeCloseTo(expected);
+  });
+});
+
+describe('columnConservation', () => {
+  it('counts gaps against the most common nucleotide', () => {
+    expect(columnConservation([...'AAC-'])).toBe(0.5);
+  });
+});
+
+describe('pairCanonicalFraction', () => {
+  it('counts A:U, G:C and G:U pairs', () => {
+    expect(pairCanonicalFraction(pairs('GC', 'GU', 'UA', 'GA', 'G-'), 0, 1)).toBeCloseTo(0.6);
+  });
+});
+
+describe('computeAlignmentStats', () => {
+  const stats = computeAlignmentStats(parseStockholm(ALIGNMENT));
+
+  it('draws the consensus of the mostly filled columns', () => {
+    expect(stats.consensus).toBe('GGAAACC');
+    expect(stats.structure).toBe('((...))');
+    expect(stats.columns).toEqual([0, 1, 2, 3, 4, 5, 6]);
+    expect(stats.sequenceCount).toBe(4);
+  });
+
+  it('scores each column and each pair', () => {
+    expect(stats.conservation[0]).toBe(0.75);
+    expect(stats.conservation[2]).toBe(0.75);
+    // G three times, A once
+    expect(stats.entropy[0]).toBeCloseTo(0.75 * Math.log2(3) + 0.25 * Math.log2(1));
+    // GC, GC, AU, GA at columns 1 and 7: 0, +2, +2, -1, -1, -2
+    expect(stats.pairs[0]).toMatchObject({ i: 0, j: 6, fcbp: 0.75 });
+    expect(stats.pairs[0].cov).toBeCloseTo(0);
+    // GC, AU, GC, GC at columns 2 and 6: the three comparisons with AU score +2
+    expect(stats.pairs[1]).toMatchObject({ i: 1, j: 5, fcbp: 1, cov: 1 });
+  });
+
+  it('needs a consensus structure', () => {
+    expect(() => computeAlignmentStats(parseStockholm('# STOCKHOLM 1.0\ns1 GGAC\n//'))).toThrow('Alignment has no #=GC SS_cons line');
+  });
+});
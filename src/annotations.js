@@ -0,0 +1,241 @@
+// User annotations drawn over a structure: labelled ranges, outlined
+// nucleotides, highlighted pairs and callouts. Positions are alignment
+// positions, as in the structure model, so the same annotations apply to
+// every image type and to both R-scape panels.
+//
+// Annotation shape:
+//   { kind: 'range', start, end, label?, color? }       translucent band along the backbone
+//   { kind: 'nucleotide', position, label?, color? }    outline around one nucleotide
+//   { kind: 'pair', start, end, label?, color? }        line joining two nucleotides
+//   { kind: 'callout', position, label, color? }        text on a leader line
+//
+// `kind` may be left out: a label-only `position` is a nucleotide, and
+// `start`/`end` is a range.
+
+export const ANNOTATION_KINDS = ['range', 'nucleotide', 'pair', 'callout'];
+export const DEFAULT_ANNOTATION_COLOR = '#d6336c';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const FONT = 'Helvetica, Arial, sans-serif';
+const BED_COMMENT = /^(#|track\b|browser\b)/;
+
+const isPosition = (value) => Number.isInteger(value) && value > 0;
+
+const inferKind = ({ kind, position }) => kind || (position !== undefined ? 'nucleotide' : 'range');
+
+// Check and fill in one annotation; `where` names it in error messages
+const normalizeAnnotation = (annotation, where) => {
+  if (!annotation || typeof annotation !== 'object') throw new Error(`${where}: expected an object`);
+
+  const kind = inferKind(annotation);
+  if (!ANNOTATION_KINDS.includes(kind)) {
+    throw new Error(`${where}: unknown kind "${kind}"; expected ${ANNOTATION_KINDS.join(', ')}`);
+  }
+  const label = annotation.label == null ? '' : String(annotation.label);
+  const color = annotation.color || DEFAULT_ANNOTATION_COLOR;
+
+  if (kind === 'nucleotide' || kind === 'callout') {
+    const position = Number(annotation.position);
+    if (!isPosition(position)) throw new Error(`${where}: position must be a positive whole number`);
+    if (kind === 'callout' && !label) throw new Error(`${where}: a callout needs a label`);
+    return { kind, position, label, color };
+  }
+
+  const start = Number(annotation.start);
+  const end = Number(annotation.end);
+  if (!isPosition(start) || !isPosition(end)) throw new Error(`${where}: start and end must be positive whole numbers`);
+  if (kind === 'pair' && start === end) throw new Error(`${where}: a pair needs two different positions`);
+  return { kind, start: Math.min(start, end), end: Math.max(start, end), label, color };
+};
+
+const parseJsonAnnotations = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Annotations are not valid JSON: ${error.message}`);
+  }
+  const list = Array.isArray(data) ? data : data?.annotations;
+  if (!Array.isArray(list)) throw new Error('Annotation JSON must be a list, or an object with an "annotations" list');
+  return list.map((annotation, index) => normalizeAnnotation(annotation, `Annotation ${index + 1}`));
+};
+
+// BED columns: name, start (0-based), end (exclusive), label, score, strand,
+// thickStart, thickEnd, itemRgb. The first column is ignored. Single
+// positions are outlined; longer spans are drawn as ranges.
+const parseBedAnnotations = (text) => {
+  const annotations = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    if (!trimmed || BED_COMMENT.test(trimmed)) return;
+
+    const columns = trimmed.split(/\t|\s+/);
+    const where = `Line ${index + 1}`;
+    if (columns.length < 3) throw new Error(`${where}: expected at least name, start and end`);
+
+    const start = Number(columns[1]) + 1;
+    const end = Number(columns[2]);
+    const label = columns[3] && columns[3] !== '.' ? columns[3] : '';
+    const rgb = columns[8] && columns[8] !== '0' && columns[8] !== '.' ? `rgb(${columns[8]})` : undefined;
+    annotations.push(normalizeAnnotation(
+      start === end ? { kind: 'nucleotide', position: start, label, color: rgb } : { kind: 'range', start, end, label, color: rgb },
+      where
+    ));
+  });
+  return annotations;
+};
+
+// Annotations from the prop or a file: a list of objects, or JSON or BED
+// text. Throws an Error naming the first bad entry.
+export function parseAnnotations(input) {
+  if (input == null || input === '') return [];
+  if (Array.isArray(input)) return input.map((annotation, index) => normalizeAnnotation(annotation, `Annotation ${index + 1}`));
+
+  const text = String(input).trim();
+  return text.startsWith('[') || text.startsWith('{') ? parseJsonAnnotations(text) : parseBedAnnotations(text);
+}
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const createSvgElement = (document, name, attributes) => {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([attribute, value]) => element.setAttribute(attribute, value));
+  return element;
+};
+
+const describeAnnotation = ({ kind, label, position, start, end }) => {
+  const where = {
+    range: `positions ${start}-${end}`,
+    pair: `pair ${start}-${end}`,
+  }[kind] || `position ${position}`;
+  return label ? `${label} (${where})` : where;
+};
+
+// Draw annotations onto a mounted SVG, using the structure model read from
+// it for positions. The layer goes inside the pan/zoom viewport when there is
+// one, so it moves with the structure, and replaces any earlier layer.
+// Returns how many annotations matched positions in this structure.
+export function drawAnnotationLayer(svgElement, model, annotations) {
+  removeAnnotationLayer(svgElement);
+  const nucleotides = (model?.nucleotides || []).filter(({ x, y }) => Number.isFinite(x) && Number.isFinite(y));
+  if (!svgElement || annotations.length === 0 || nucleotides.length === 0) return 0;
+
+  const document = svgElement.ownerDocument;
+  const byPosition = new Map(nucleotides.map((nucleotide) => [nucleotide.position, nucleotide]));
+  const spacing = median(nucleotides.slice(1).map((nucleotide, index) => (
+    Math.hypot(nucleotide.x - nucleotides[index].x, nucleotide.y - nucleotides[index].y)
+  ))) || 10;
+  const centre = {
+    x: nucleotides.reduce((total, { x }) => total + x, 0) / nucleotides.length,
+    y: nucleotides.reduce((total, { y }) => total + y, 0) / nucleotides.length,
+  };
+  // Labels sit on the side of a nucleotide facing away from the middle of the structure
+  const outward = ({ x, y }, distance) => {
+    const length = Math.hypot(x - centre.x, y - centre.y);
+    const [dx, dy] = length ? [(x - centre.x) / length, (y - centre.y) / length] : [0, -1];
+    return { x: x + dx * distance, y: y + dy * distance, dx };
+  };
+
+  const layer = createSvgElement(document, 'g', {
+    class: 'ss-annotations',
+    'data-ss-annotations': '',
+    'font-family': FONT,
+    'font-size': round(spacing * 0.9),
+  });
+  const shape = (name, attributes) => layer.appendChild(createSvgElement(document, name, { 'pointer-events': 'none', ...attributes }));
+  const text = (annotation, { x, y, dx = 0 }, anchor = 'middle') => {
+    const element = createSvgElement(document, 'text', {
+      x: round(x),
+      y: round(y + spacing * 0.3),
+      fill: annotation.color,
+      'font-weight': 'bold',
+      'text-anchor': anchor === 'auto' ? (dx < 0 ? 'end' : 'start') : anchor,
+      'data-tooltip': describeAnnotation(annotation),
+    });
+    element.textContent = annotation.label;
+    layer.appendChild(element);
+  };
+  const outline = (nucleotide, color) => shape('circle', {
+    cx: round(nucleotide.x),
+    cy: round(nucleotide.y),
+    r: round(spacing * 0.6),
+    fill: 'none',
+    stroke: color,
+    'stroke-width': round(spacing * 0.12),
+  });
+
+  let drawn = 0;
+  annotations.forEach((annotation) => {
+    const { kind, color, label } = annotation;
+
+    if (kind === 'range') {
+      const covered = nucleotides.filter(({ position }) => position >= annotation.start && position <= annotation.end);
+      if (covered.length === 0) return;
+      if (covered.length === 1) {
+        shape('circle', { cx: round(covered[0].x), cy: round(covered[0].y), r: round(spacing * 0.6), fill: color, 'fill-opacity': 0.35 });
+      } else {
+        shape('polyline', {
+          points: covered.map(({ x, y }) => `${round(x)},${round(y)}`).join(' '),
+          fill: 'none',
+          stroke: color,
+          'stroke-opacity': 0.35,
+          'stroke-width': round(spacing * 1.2),
+          'stroke-linecap': 'round',
+          'stroke-linejoin': 'round',
+        });
+      }
+      if (label) text(annotation, outward(covered[Math.floor(covered.length / 2)], spacing * 2), 'auto');
+      drawn++;
+      return;
+    }
+
+    if (kind === 'pair') {
+      const first = byPosition.get(annotation.start);
+      const second = byPosition.get(annotation.end);
+      if (!first || !second) return;
+      shape('line', {
+        x1: round(first.x),
+        y1: round(first.y),
+        x2: round(second.x),
+        y2: round(second.y),
+        stroke: color,
+        'stroke-opacity': 0.6,
+        'stroke-width': round(spacing * 0.35),
+        'stroke-linecap': 'round',
+      });
+      outline(first, color);
+      outline(second, color);
+      if (label) text(annotation, outward({ x: (first.x + second.x) / 2, y: (first.y + second.y) / 2 }, spacing * 1.5), 'auto');
+      drawn++;
+      return;
+    }
+
+    const nucleotide = byPosition.get(annotation.position);
+    if (!nucleotide) return;
+    outline(nucleotide, color);
+    if (kind === 'callout') {
+      const from = outward(nucleotide, spacing * 0.7);
+      const to = outward(nucleotide, spacing * 3);
+      shape('line', {
+        x1: round(from.x), y1: round(from.y), x2: round(to.x), y2: round(to.y), stroke: color, 'stroke-width': round(spacing * 0.1),
+      });
+      text(annotation, outward(nucleotide, spacing * 3.3), 'auto');
+    } else if (label) {
+      text(annotation, outward(nucleotide, spacing * 1.5), 'auto');
+    }
+    drawn++;
+  });
+
+  (svgElement.querySelector('.svg-pan-zoom_viewport') || svgElement).appendChild(layer);
+  return drawn;
+}
+
+export function removeAnnotationLayer(svgElement) {
+  svgElement?.querySelectorAll('[data-ss-annotations]').forEach((layer) => layer.remove());
+}
@@ -0,0 +1,143 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_ANNOTATION_COLOR, drawAnnotationLayer, parseAnnotations, removeAnnotationLayer } from './annotations';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Nucleotides at positions 1-10, 10 units apart along the x axis
+const MODEL = {
+  nucleotides: Array.from({ length: 10 }, (_, index) => ({ index, position: index + 1, x: index * 10, y: 0 })),
+};
+
+const createSvg = (markup = '') => {
+  const container = document.createElement('div');
+  container.innerHTML = `<svg xmlns="${SVG_NS}">${markup}</svg>`;
+  return container.querySelector('svg');
+};
+
+describe('parseAnnotations', () => {
+  it('returns nothing for empty input', () => {
+    expect(parseAnnotations(null)).toEqual([]);
+    expect(parseAnnotations('')).toEqual([]);
+    expect(parseAnnotations([])).toEqual([]);
+  });
+
+  it('fills in kinds, labels and colours', () => {
+    expect(parseAnnotations([
+      { position: 5, label: 'site' },
+      { start: 3, end: 7 },
+      { kind: 'pair', start: 9, end: 2, color: 'blue', label: 42 },
+      { kind: 'callout', position: '8', label: 'loop' },
+    ])).toEqual([
+      { kind: 'nucleotide', position: 5, label: 'site', color: DEFAULT_ANNOTATION_COLOR },
+      { kind: 'range', start: 3, end: 7, label: '', color: DEFAULT_ANNOTATION_COLOR },
+      { kind: 'pair', start: 2, end: 9, label: '42', color: 'blue' },
+      { kind: 'callout', position: 8, label: 'loop', color: DEFAULT_ANNOTATION_COLOR },
+    ]);
+  });
+
+  it('reads a JSON list or an object with an annotations list', () => {
+    const expected = [{ kind: 'nucleotide', position: 4, label: '', color: DEFAULT_ANNOTATION_COLOR }];
+    expect(parseAnnotations('[{"position": 4}]')).toEqual(expected);
+    expect(parseAnnotations(' {"annotations": [{"position": 4}]}')).toEqual(expected);
+  });
+
+  it('reads BED lines as 0-based, end-exclusive ranges', () => {
+    const bed = [
+      'track name=sites',
+      '# comment',
+      'browser position chr1',
+      '',
+      'RF00005\t9\t10\tanticodon',
+      'RF00005\t2\t8\tstem\t0\t+\t2\t8\t255,0,0',
+      'RF00005 11 15 . 0 + 11 15 0',
+    ].join('\n');
+    expect(parseAnnotations(bed)).toEqual([
+      { kind: 'nucleotide', position: 10, label: 'anticodon', color: DEFAULT_ANNOTATION_COLOR },
+      { kind: 'range', start: 3, end: 8, label: 'stem', color: 'rgb(255,0,0)' },
+      { kind: 'range', start: 12, end: 15, label: '', color: DEFAULT_ANNOTATION_COLOR },
+    ]);
+  });
+
+  it.each([
+    [['not an object'], 'Annotation 1: expected an object'],
+    [[{ kind: 'arrow', position: 1 }], 'Annotation 1: unknown kind "arrow"; expected range, nucleotide, pair, callout'],
+    [[{ position: 1 }, { position: 0 }], 'Annotation 2: position must be a positive whole number'],
+    [[{ position: 2.5 }], 'Annotation 1: position must be a positive whole number'],
+    [[{ kind: 'callout', position: 3 }], 'Annotation 1: a callout needs a label'],
+    [[{ start: 3 }], 'Annotation 1: start and end must be positive whole numbers'],
+    [[{ kind: 'pair', start: 4, end: 4 }], 'Annotation 1: a pair needs two different positions'],
+    ['[{"position": 1}', 'Annotations are not valid JSON'],
+    ['{"items": []}', 'Annotation JSON must be a list, or an object with an "annotations" list'],
+    ['RF00005\t1', 'Line 1: expected at least name, start and end'],
+    ['# header\nRF00005\t-1\t4', 'Line 2: start and end must be positive whole numbers'],
+  ])('names the first bad entry in %j', (input, message) => {
+    expect(() => parseAnnotations(input)).toThrow(message);
+  });
+});
+
+describe('drawAnnotationLayer', () => {
+  it('draws one shape per annotation and reports how many matched', () => {
+    const svg = createSvg();
+    const drawn = drawAnnotationLayer(svg, MODEL, parseAnnotations([
+      { position: 2 },
+      { start: 3, end: 5, label: 'stem' },
+      { kind: 'pair', start: 1, end: 10 },
+      { kind: 'callout', position: 6, label: 'loop' },
+      // Outside the structure
+      { position: 40 },
+      { kind: 'pair', start: 1, end: 40 },
+    ]));
+    expect(drawn).toBe(4);
+
+    const layer = svg.querySelector('[data-ss-annotations]');
+    expect(layer.querySelectorAll('polyline')).toHaveLength(1);
+    expect(layer.querySelector('polyline').getAttribute('points')).toBe('20,0 30,0 40,0');
+    // Nucleotide 2, and both ends of the pair
+    expect(layer.querySelectorAll('circle')).toHaveLength(4);
+    // Pair line and callout leader
+    expect(layer.querySelectorAll('line')).toHaveLength(2);
+    expect([...layer.querySelectorAll('text')].map((text) => [text.textContent, text.getAttribute('data-tooltip')])).toEqual([
+      ['stem', 'stem (positions 3-5)'],
+      ['loop', 'loop (position 6)'],
+    ]);
+  });
+
+  it('fills a range of one nucleotide as a dot', () => {
+    const svg = createSvg();
+    drawAnnotationLayer(svg, MODEL, parseAnnotations([{ start: 4, end: 4, color: 'green' }]));
+    const dot = svg.querySelector('[data-ss-annotations] circle');
+    expect(dot.getAttribute('fill')).toBe('green');
+    expect([dot.getAttribute('cx'), dot.getAttribute('cy')]).toEqual(['30', '0']);
+  });
+
+  it('scales shapes and labels with the nucleotide spacing', () => {
+    const svg = createSvg();
+    drawAnnotationLayer(svg, MODEL, parseAnnotations([{ position: 2 }]));
+    expect(svg.querySelector('[data-ss-annotations]').getAttribute('font-size')).toBe('9');
+    expect(svg.querySelector('[data-ss-annotations] circle').getAttribute('r')).toBe('6');
+  });
+
+  it('goes inside the pan/zoom viewport so it moves with the structure', () => {
+    const svg = createSvg('<g class="svg-pan-zoom_viewport"></g>');
+    drawAnnotationLayer(svg, MODEL, parseAnnotations([{ position: 2 }]));
+    expect(svg.querySelector('.svg-pan-zoom_viewport > [data-ss-annotations]')).not.toBeNull();
+  });
+
+  it('replaces an earlier layer and can be removed', () => {
+    const svg = createSvg();
+    drawAnnotationLayer(svg, MODEL, parseAnnotations([{ position: 2 }]));
+    drawAnnotationLayer(svg, MODEL, parseAnnotations([{ position: 3 }]));
+    expect(svg.querySelectorAll('[data-ss-annotations]')).toHaveLength(1);
+    removeAnnotationLayer(svg);
+    expect(svg.querySelector('[data-ss-annotations]')).toBeNull();
+  });
+
+  it('draws nothing without annotations or positioned nucleotides', () => {
+    const svg = createSvg();
+    expect(drawAnnotationLayer(svg, MODEL, [])).toBe(0);
+    expect(drawAnnotationLayer(svg, { nucleotides: [{ position: 1, x: NaN, y: 0 }] }, parseAnnotations([{ position: 1 }]))).toBe(0);
+    expect(drawAnnotationLayer(svg, null, parseAnnotations([{ position: 1 }]))).toBe(0);
+    expect(svg.querySelector('[data-ss-annotations]')).toBeNull();
+  });
+});
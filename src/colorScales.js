@@ -0,0 +1,150 @@
+// Colour scales of the Rfam cons, fcbp, cov, ent and maxcm plots. Each runs
+// from violet at the bottom of its range to red at the top, both in the
+// server images and in the overlays drawn from alignments, so a fill can be
+// turned back into an approximate value.
+
+// Hue of the bottom of the range (violet); the top is red at 0
+const MIN_HUE = 270;
+// Fills less saturated than this (black letters, grey backbone) carry no value
+const MIN_SATURATION = 0.25;
+
+const formatPercent = (value) => `${Math.round(value * 100)}%`;
+const formatSigned = (value) => `${value > 0 ? '+' : ''}${Number(value.toFixed(1))}`;
+const formatBits = (value) => `${Number(value.toFixed(1))} bits`;
+
+// name and format are used in tooltips; title and ticks in the legend
+export const COLOR_SCALES = {
+  cons: {
+    title: 'Sequence conservation',
+    name: 'conservation',
+    domain: [0, 1],
+    ticks: [0, 0.25, 0.5, 0.75, 1],
+    format: formatPercent,
+  },
+  fcbp: {
+    title: 'Canonical basepairs',
+    name: 'canonical pairs',
+    domain: [0, 1],
+    ticks: [0, 0.25, 0.5, 0.75, 1],
+    format: formatPercent,
+  },
+  cov: {
+    title: 'Covariation score',
+    name: 'covariation',
+    domain: [-2, 2],
+    ticks: [-2, -1, 0, 1, 2],
+    format: formatSigned,
+  },
+  ent: {
+    title: 'Sequence entropy',
+    name: 'entropy',
+    domain: [-0.5, 2],
+    ticks: [-0.5, 0, 0.5, 1, 1.5, 2],
+    format: formatBits,
+  },
+  maxcm: {
+    title: 'Contribution to the maximum parse score',
+    name: 'score',
+    domain: [0, 2],
+    ticks: [0, 0.5, 1, 1.5, 2],
+    format: formatBits,
+  },
+};
+
+// Red for the top of the range through to violet for the bottom, as in the Rfam images
+export function rainbowColor(value, [min, max]) {
+  const fraction = Math.min(Math.max((value - min) / (max - min), 0), 1);
+  return `hsl(${Math.round(MIN_HUE * (1 - fraction))}, 85%, 45%)`;
+}
+
+// CSS gradient of a scale, bottom of the range on the left
+export function scaleGradient({ domain: [min, max] }) {
+  const stops = [0, 1, 2, 3, 4, 5, 6].map((step) => rainbowColor(min + ((max - min) * step) / 6, [min, max]));
+  return `linear-gradient(to right, ${stops.join(', ')})`;
+}
+
+// Position of a value along a scale, 0 to 1
+export const scaleFraction = ({ domain: [min, max] }, value) => (value - min) / (max - min);
+
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+const RGB_COLOR = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i;
+const HSL_COLOR = /^hsla?\(\s*([\d.]+)(?:deg)?[\s,]+([\d.]+)%[\s,]+([\d.]+)%/i;
+
+// { hue (degrees), saturation (0-1) } of a CSS colour, or null for colours
+// this cannot read (names, gradients, none)
+const parseHueSaturation = (color) => {
+  const text = color?.trim() || '';
+
+  const hsl = text.match(HSL_COLOR);
+  if (hsl) return { hue: Number(hsl[1]) % 360, saturation: Number(hsl[2]) / 100 };
+
+  let rgb = null;
+  const hex = text.match(HEX_COLOR);
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    rgb = [0, 2, 4].map((offset) => parseInt(digits.slice(offset, offset + 2), 16));
+  } else {
+    const match = text.match(RGB_COLOR);
+    if (match) rgb = match.slice(1, 4).map(Number);
+  }
+  if (!rgb) return null;
+
+  const [r, g, b] = rgb.map((channel) => channel / 255);
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const delta = max - min;
+  if (delta === 0) return { hue: 0, saturation: 0 };
+
+  const lightness = (max + min) / 2;
+  const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+  let hue;
+  if (max === r) hue = ((g - b) / delta) % 6;
+  else if (max === g) hue = (b - r) / delta + 2;
+  else hue = (r - g) / delta + 4;
+  return { hue: (hue * 60 + 360) % 360, saturation };
+};
+
+// Approximate value of a fill on a scale, or null when the colour is not on it
+export function valueForColor(scale, color) {
+  const parsed = parseHueSaturation(color);
+  if (!parsed || parsed.saturation < MIN_SATURATION) return null;
+
+  const [min, max] = scale.domain;
+  let fraction;
+  if (parsed.hue <= MIN_HUE) fraction = 1 - parsed.hue / MIN_HUE;
+  // Purples past violet belong to the bottom, pinks wrapping to red to the top
+  else fraction = parsed.hue < 315 ? 0 : 1;
+  return min + fraction * (max - min);
+}
+
+const SCALE_ELEMENTS = 'text, tspan, path, line, polyline, circle, ellipse, rect';
+
+// Fill (or stroke, for lines) that an element is drawn in, falling back to
+// its parent's for a <tspan> that inherits it
+const paintOf = (node) => [
+  node.getAttribute('fill'), node.style?.fill, node.getAttribute('stroke'), node.style?.stroke,
+].find((paint) => paint && paint !== 'none') || null;
+
+const elementColor = (element) => (
+  paintOf(element) || (element.localName === 'tspan' ? paintOf(element.parentElement) : null)
+);
+
+// SVG processor for a scale type: gives each coloured nucleotide and pair a
+// tooltip with its approximate value. Elements that already describe
+// themselves (client-drawn overlays carry exact values) are left alone; the
+// ones annotated here are marked so another scale can relabel them.
+export function annotateScaleSvg(scale) {
+  return (svgElement) => {
+    svgElement.querySelectorAll(SCALE_ELEMENTS).forEach((element) => {
+      if (element.closest('[data-tooltip]:not([data-ss-scale])')) return;
+      // The tspans inside a text element are annotated instead
+      if (element.localName === 'text' && element.querySelector('tspan')) return;
+
+      const value = valueForColor(scale, elementColor(element));
+      if (value === null) return;
+      element.dataset.tooltip = `${scale.name} ~${scale.format(value)}`;
+      element.dataset.ssScale = '';
+      element.style.cursor = 'pointer';
+    });
+  };
+}
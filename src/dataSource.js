@@ -0,0 +1,169 @@
+import { ImageLoadError, httpError } from './loadErrors';
+
+// Data sources decide where images come from. The component only talks to this
+// interface, so a mirror, an authenticated endpoint or an in-memory fixture set
+// can be plugged in without touching the rendering code.
+//
+// A data source is a plain object with:
+//   id                                  optional cache namespace shared by equivalent sources
+//   getImageUrl(familyAcc, type)        image URL; rasters are only shown from it when
+//                                       loadImage returns no content
+//   getVarnaUrl(familyAcc)              URL for the VARNA viewer, or null
+//   checkAvailability(familyAcc, type)  Promise<boolean>
+//   loadImage(familyAcc, type)          Promise<{ content, contentType }>, rejects on failure;
+//                                       raster content is a data: URL (or text)
+//   getAvailableTypes(familyAcc)        optional Promise<string[]>, replaces per-type probes
+//   withImageUrl(buildImageUrl)         optional; the same source (fetcher, headers) with
+//                                       another URL layout, used by image types with a url
+//
+// The three async methods receive a trailing `{ signal }` options object and
+// should stop work when the AbortSignal fires.
+
+const resolveHeaders = (headers) => (typeof headers === 'function' ? headers() : headers);
+
+// Binary image bodies would be mangled by response.text()
+const isRasterContentType = (contentType) => contentType.startsWith('image/') && !contentType.includes('svg');
+
+export const readBlobAsDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
+
+// A loaded raster body as a data URL, ready for <img> or an export; null
+// when the source returned no body (a memory entry with just a url)
+export const rasterContentToDataUrl = async (content, contentType) => {
+  if (!content) return null;
+  if (content.startsWith('data:')) return content;
+  return readBlobAsDataUrl(new Blob([content], { type: contentType || 'image/png' }));
+};
+
+// Generic HTTP source: callers provide the URL layout, and optionally their own
+// fetch implementation and headers (e.g. an auth token).
+export function createHttpDataSource(sourceOptions) {
+  const {
+    id,
+    buildImageUrl,
+    buildVarnaUrl = null,
+    buildManifestUrl = null,
+    fetcher = (url, options) => fetch(url, options),
+    headers = {},
+    fetchOptions = { mode: 'cors' },
+  } = sourceOptions;
+
+  const request = (url, options = {}) => fetcher(url, {
+    ...fetchOptions,
+    ...options,
+    headers: { ...resolveHeaders(headers), ...options.headers },
+  });
+
+  const source = {
+    id,
+
+    getImageUrl: (familyAcc, type) => buildImageUrl(familyAcc, type),
+
+    getVarnaUrl: (familyAcc) => (buildVarnaUrl ? buildVarnaUrl(familyAcc) : null),
+
+    async checkAvailability(familyAcc, type, { signal } = {}) {
+      const response = await request(buildImageUrl(familyAcc, type), { method: 'HEAD', signal });
+      return response.ok;
+    },
+
+    async loadImage(familyAcc, type, { signal } = {}) {
+      const response = await request(buildImageUrl(familyAcc, type), { signal });
+
+      if (!response.ok) {
+        throw httpError(response.status);
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      const content = isRasterContentType(contentType)
+        ? await readBlobAsDataUrl(await response.blob())
+        : await response.text();
+      return { content, contentType };
+    },
+  };
+
+  // Manifest endpoints may return either ["rscape", ...] or { types: [...] }
+  if (buildManifestUrl) {
+    source.getAvailableTypes = async (familyAcc, { signal } = {}) => {
+      const response = await request(buildManifestUrl(familyAcc), {
+        headers: { Accept: 'application/json' },
+        signal,
+      });
+
+      if (!response.ok) {
+        throw httpError(response.status);
+      }
+
+      const manifest = await response.json();
+      return Array.isArray(manifest) ? manifest : manifest.types || [];
+    };
+  }
+
+  // Keeps the fetcher and headers; the id is dropped so its cache entries
+  // stay under the source it was derived from
+  source.withImageUrl = (buildOtherImageUrl) => createHttpDataSource({
+    ...sourceOptions,
+    id: undefined,
+    buildImageUrl: buildOtherImageUrl,
+    buildManifestUrl: null,
+  });
+
+  return source;
+}
+
+// Default source: the Rfam REST layout ({apiBaseUrl}/{familyAcc}/image/{type}).
+// Sources with their own fetcher, headers or fetch options (e.g. credentials)
+// only share cache entries with others when given an `id`.
+export function createRfamDataSource({ apiBaseUrl = 'rfam', id, ...options } = {}) {
+  const isPlain = !options.fetcher && !options.headers && !options.fetchOptions;
+  return createHttpDataSource({
+    id: id ?? (isPlain ? `rfam:${apiBaseUrl}` : undefined),
+    buildImageUrl: (familyAcc, type) => `${apiBaseUrl}/${familyAcc}/image/${type}`,
+    buildVarnaUrl: (familyAcc) => `${apiBaseUrl}/${familyAcc}/varna`,
+    ...options,
+  });
+}
+
+// In-memory source for offline tests and demos. `images` maps accession to type
+// to either an SVG string or { content, contentType, url }.
+export function createMemoryDataSource(images = {}, { id, varnaUrl = null } = {}) {
+  const getEntry = (familyAcc, type) => {
+    const entry = images[familyAcc]?.[type];
+    if (entry == null) return null;
+    return typeof entry === 'string' ? { content: entry, contentType: 'image/svg+xml' } : entry;
+  };
+
+  return {
+    id,
+
+    getImageUrl(familyAcc, type) {
+      const entry = getEntry(familyAcc, type);
+      if (!entry) return null;
+      if (entry.url) return entry.url;
+      return `data:${entry.contentType || 'image/svg+xml'};charset=utf-8,${encodeURIComponent(entry.content)}`;
+    },
+
+    getVarnaUrl: (familyAcc) => (typeof varnaUrl === 'function' ? varnaUrl(familyAcc) : varnaUrl),
+
+    async checkAvailability(familyAcc, type) {
+      return Boolean(getEntry(familyAcc, type));
+    },
+
+    async getAvailableTypes(familyAcc) {
+      return Object.keys(images[familyAcc] || {});
+    },
+
+    async loadImage(familyAcc, type) {
+      const entry = getEntry(familyAcc, type);
+
+      if (!entry) {
+        throw new ImageLoadError('not-found', `No ${type} image for ${familyAcc}`, { status: 404 });
+      }
+
+      return { content: entry.content || '', contentType: entry.contentType || 'image/svg+xml' };
+    },
+  };
+}
@@ -0,0 +1,35 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { createRfamDataSource, rasterContentToDataUrl } from './dataSource';
+
+describe('rasterContentToDataUrl', () => {
+  it('keeps data URLs as they are', async () => {
+    await expect(rasterContentToDataUrl('data:image/png;base64,iVBO', 'image/png')).resolves.toBe('data:image/png;base64,iVBO');
+  });
+
+  it('wraps other bodies in a data URL of their content type', async () => {
+    await expect(rasterContentToDataUrl('<svg/>', 'image/svg+xml')).resolves.toBe(`data:image/svg+xml;base64,${btoa('<svg/>')}`);
+  });
+
+  it('returns null when there is no body to show', async () => {
+    await expect(rasterContentToDataUrl('', 'image/png')).resolves.toBeNull();
+  });
+});
+
+describe('createRfamDataSource', () => {
+  it('shares a cache id between plain sources for the same API', () => {
+    expect(createRfamDataSource({ apiBaseUrl: 'https://rfam.org/family' }).id).toBe('rfam:https://rfam.org/family');
+  });
+
+  it.each([
+    ['a fetcher', { fetcher: async () => new Response('') }],
+    ['headers', { headers: { Authorization: 'Bearer token' } }],
+    ['fetch options', { fetchOptions: { credentials: 'include' } }],
+  ])('leaves sources with %s anonymous', (_, options) => {
+    expect(createRfamDataSource({ apiBaseUrl: 'https://rfam.org/family', ...options }).id).toBeUndefined();
+  });
+
+  it('keeps an explicit id', () => {
+    expect(createRfamDataSource({ fetchOptions: { credentials: 'include' }, id: 'rfam:alice' }).id).toBe('rfam:alice');
+  });
+});
@@ -0,0 +1,31 @@
+// Bridge from callback props to DOM CustomEvents, for pages embedding the
+// standalone bundle. Each event bubbles from the mount container and carries
+// the callback argument as `detail`.
+
+export const DOM_EVENTS = {
+  onLoad: 'rfam-ss:load',
+  onError: 'rfam-ss:error',
+  onTypeChange: 'rfam-ss:typechange',
+  onNucleotideHover: 'rfam-ss:nucleotidehover',
+  onPairClick: 'rfam-ss:pairclick',
+  onAvailabilityResolved: 'rfam-ss:availability',
+  onStructureModel: 'rfam-ss:structuremodel',
+};
+
+// Wrap the callback props so each one also dispatches its event on `target`.
+// Callbacks passed in props still run first.
+export function withDomEvents(target, props = {}) {
+  const wrapped = { ...props };
+
+  Object.entries(DOM_EVENTS).forEach(([prop, eventName]) => {
+    const callback = props[prop];
+    wrapped[prop] = (...args) => {
+      callback?.(...args);
+      // onStructureModel receives (model, info); flatten it into one detail
+      const detail = prop === 'onStructureModel' ? { model: args[0], ...args[1] } : args[0];
+      target.dispatchEvent(new CustomEvent(eventName, { detail, bubbles: true }));
+    };
+  });
+
+  return wrapped;
+}
@@ -0,0 +1,85 @@
+// Dot-bracket parsing, including the extended bracket alphabet used for
+// pseudoknots: ()[]{}<> and matching upper/lower case letters (Aa, Bb, ...).
+// Positions are 0-based throughout.
+
+const BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}', '<': '>' };
+const CLOSING_BRACKETS = Object.fromEntries(Object.entries(BRACKET_PAIRS).map(([open, close]) => [close, open]));
+
+// Characters Rfam and R-scape use for unpaired positions
+const UNPAIRED = new Set(['.', ',', '-', ':', '_', '~']);
+
+// Parse a dot-bracket string into a partner table (-1 for unpaired) and a
+// list of pairs { i, j, bracket }. Throws on unbalanced brackets or unknown characters.
+export function parseDotBracket(structure) {
+  const partners = new Array(structure.length).fill(-1);
+  const pairs = [];
+  const stacks = {};
+
+  for (let index = 0; index < structure.length; index += 1) {
+    const char = structure[index];
+
+    if (UNPAIRED.has(char)) continue;
+
+    const isLetter = /[A-Za-z]/.test(char);
+    const isOpening = BRACKET_PAIRS[char] || (isLetter && char === char.toUpperCase());
+    const isClosing = CLOSING_BRACKETS[char] || (isLetter && char === char.toLowerCase());
+
+    if (isOpening) {
+      (stacks[char] = stacks[char] || []).push(index);
+    } else if (isClosing) {
+      const opening = CLOSING_BRACKETS[char] || char.toUpperCase();
+      const partner = stacks[opening]?.pop();
+
+      if (partner === undefined) {
+        throw new Error(`Unmatched '${char}' at position ${index + 1}`);
+      }
+
+      partners[partner] = index;
+      partners[index] = partner;
+      pairs.push({ i: partner, j: index, bracket: opening });
+    } else {
+      throw new Error(`Unexpected character '${char}' at position ${index + 1}`);
+    }
+  }
+
+  const unclosed = Object.entries(stacks).find(([, stack]) => stack.length > 0);
+  if (unclosed) {
+    const [bracket, stack] = unclosed;
+    throw new Error(`Unmatched '${bracket}' at position ${stack[stack.length - 1] + 1}`);
+  }
+
+  pairs.sort((a, b) => a.i - b.i);
+  return { partners, pairs };
+}
+
+// Closing character for an opening bracket or pseudoknot letter
+export const closingBracket = (open) => BRACKET_PAIRS[open] || open.toLowerCase();
+
+const crosses = (a, b) => (a.i < b.i && b.i < a.j && a.j < b.j) || (b.i < a.i && a.i < b.j && b.j < a.j);
+
+// Split pairs into a nested (pseudoknot-free) set used for layout and the
+// remaining pseudoknotted pairs. Round brackets are always treated as nested,
+// other bracket types are added greedily as long as they do not cross.
+export function splitPseudoknots(pairs) {
+  const bracketOrder = (bracket) => {
+    const order = ['(', '[', '{', '<'].indexOf(bracket);
+    return order === -1 ? 4 + bracket.charCodeAt(0) : order;
+  };
+
+  const nested = [];
+  const pseudoknots = [];
+
+  [...pairs]
+    .sort((a, b) => bracketOrder(a.bracket) - bracketOrder(b.bracket) || a.i - b.i)
+    .forEach((pair) => {
+      if (nested.some((other) => crosses(pair, other))) {
+        pseudoknots.push(pair);
+      } else {
+        nested.push(pair);
+      }
+    });
+
+  nested.sort((a, b) => a.i - b.i);
+  pseudoknots.sort((a, b) => a.i - b.i);
+  return { nested, pseudoknots };
+}
@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import { closingBracket, parseDotBracket, splitPseudoknots } from './dotBracket';
+
+const pairList = (pairs) => pairs.map(({ i, j }) => [i, j]);
+
+describe('parseDotBracket', () => {
+  it('pairs nested round brackets', () => {
+    const { partners, pairs } = parseDotBracket('((..))');
+    expect(partners).toEqual([5, 4, -1, -1, 1, 0]);
+    expect(pairs).toEqual([{ i: 0, j: 5, bracket: '(' }, { i: 1, j: 4, bracket: '(' }]);
+  });
+
+  it('accepts every unpaired character Rfam and R-scape use', () => {
+    expect(parseDotBracket('(.,-:_~)').pairs).toEqual([{ i: 0, j: 7, bracket: '(' }]);
+  });
+
+  it('matches each bracket type separately when they cross', () => {
+    const { pairs } = parseDotBracket('([{<)]}>');
+    expect(pairs.map(({ i, j, bracket }) => [i, j, bracket])).toEqual([
+      [0, 4, '('],
+      [1, 5, '['],
+      [2, 6, '{'],
+      [3, 7, '<'],
+    ]);
+  });
+
+  it('pairs upper case pseudoknot letters with their lower case', () => {
+    const { partners, pairs } = parseDotBracket('(AB)ab');
+    expect(pairList(pairs)).toEqual([[0, 3], [1, 4], [2, 5]]);
+    expect(pairs.map(({ bracket }) => bracket)).toEqual(['(', 'A', 'B']);
+    expect(partners[4]).toBe(1);
+  });
+
+  it('returns pairs sorted by their opening position', () => {
+    expect(pairList(parseDotBracket('[(])').pairs)).toEqual([[0, 2], [1, 3]]);
+  });
+
+  it.each([
+    ['((.)', "Unmatched '(' at position 1"],
+    ['(.))', "Unmatched ')' at position 4"],
+    ['([)', "Unmatched '[' at position 2"],
+    ['a..A', "Unmatched 'a' at position 1"],
+    ['(.x)', "Unmatched 'x' at position 3"],
+    ['(.*)', "Unexpected character '*' at position 3"],
+  ])('rejects %s', (structure, message) => {
+    expect(() => parseDotBracket(structure)).toThrow(message);
+  });
+
+  it('parses an empty structure', () => {
+    expect(parseDotBracket('')).toEqual({ partners: [], pairs: [] });
+  });
+});
+
+describe('closingBracket', () => {
+  it('closes brackets and pseudoknot letters', () => {
+    expect(['(', '[', '{', '<', 'A', 'Z'].map(closingBracket)).toEqual([')', ']', '}', '>', 'a', 'z']);
+  });
+});
+
+describe('splitPseudoknots', () => {
+  it('keeps a nested structure whole', () => {
+    const { pairs } = parseDotBracket('((..))..(..)');
+    const { nested, pseudoknots } = splitPseudoknots(pairs);
+    expect(pairList(nested)).toEqual([[0, 5], [1, 4], [8, 11]]);
+    expect(pseudoknots).toEqual([]);
+  });
+
+  it('lays out round brackets and moves the crossing pairs aside', () => {
+    const { pairs } = parseDotBracket('((..[[..))..]]');
+    const { nested, pseudoknots } = splitPseudoknots(pairs);
+    expect(pairList(nested)).toEqual([[0, 9], [1, 8]]);
+    expect(pairList(pseudoknots)).toEqual([[4, 13], [5, 12]]);
+  });
+
+  it('keeps other bracket types nested when they do not cross', () => {
+    const { pairs } = parseDotBracket('(.[.].{.<.>.}.)');
+    expect(splitPseudoknots(pairs).pseudoknots).toEqual([]);
+  });
+
+  it.each([
+    ['[(])', '(', '['],
+    ['{[}]', '[', '{'],
+    ['<{>}', '{', '<'],
+    ['A<a>', '<', 'A'],
+    ['BAba', 'A', 'B'],
+  ])('keeps the preferred bracket of %s nested', (structure, kept, moved) => {
+    const { nested, pseudoknots } = splitPseudoknots(parseDotBracket(structure).pairs);
+    expect(nested.map(({ bracket }) => bracket)).toEqual([kept]);
+    expect(pseudoknots.map(({ bracket }) => bracket)).toEqual([moved]);
+  });
+});
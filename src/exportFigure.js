@@ -0,0 +1,349 @@
+import { escapeXml } from './renderStructure';
+import { rasterContentToDataUrl, readBlobAsDataUrl } from './dataSource';
+import { loadCachedImage } from './imageCache';
+import { sourceForImageType } from './imageTypes';
+
+// Publication exports. The figure is always composed as one SVG document
+// (panels, stats, legend, description) and then written out as SVG, or
+// rasterised to PNG or PDF at the requested resolution.
+
+export const EXPORT_FORMATS = ['png', 'pdf', 'svg'];
+export const EXPORT_DPI_OPTIONS = [150, 300, 600];
+
+const CSS_DPI = 96;
+const MARGIN = 20;
+const MAX_PANEL_WIDTH = 700;
+const LINE_HEIGHT = 18;
+const FONT = 'Helvetica, Arial, sans-serif';
+// Browsers refuse (or crash on) canvases much larger than this
+const MAX_CANVAS_PIXELS = 40e6;
+const LAYER_IDS = ['seq', 'outline', 'pairs'];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const parseSvg = (content) => {
+  const xml = new DOMParser().parseFromString(content, 'image/svg+xml');
+  if (xml.documentElement?.localName === 'svg' && !xml.querySelector('parsererror')) {
+    return xml.documentElement;
+  }
+  return new DOMParser().parseFromString(content, 'text/html').querySelector('svg');
+};
+
+const textLine = (x, y, text, { size = 12, weight = 'normal', color = '#212529' } = {}) => (
+  `<text x="${round(x)}" y="${round(y)}" font-family="${FONT}" font-size="${size}" font-weight="${weight}" fill="${color}">${escapeXml(text)}</text>`
+);
+
+// Greedy word wrap using an average glyph width for the font size
+const wrapText = (text, width, size) => {
+  const maxChars = Math.max(Math.floor(width / (size * 0.55)), 20);
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).filter(Boolean).forEach((word) => {
+    if (line && line.length + word.length + 1 > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+};
+
+// Turn a loaded SVG into a nested <svg> at (x, y), copying the layer
+// visibility and any annotation overlay from the copy on screen. Pan/zoom is
+// not carried over: the whole structure is exported.
+const placeSvg = ({ content, liveSvg, removeIds = [] }, x, y) => {
+  const svg = parseSvg(content);
+  if (!svg) return null;
+
+  removeIds.forEach((id) => svg.querySelector(`#${id}`)?.remove());
+  LAYER_IDS.forEach((id) => {
+    const visibility = liveSvg?.querySelector(`#${id}`)?.style.visibility;
+    const layer = svg.querySelector(`#${id}`);
+    if (layer && visibility === 'hidden') layer.setAttribute('visibility', 'hidden');
+  });
+  // Drawn in the SVG's own coordinates, so it lines up without the pan/zoom viewport
+  const annotations = liveSvg?.querySelector('[data-ss-annotations]');
+  if (annotations) svg.appendChild(svg.ownerDocument.importNode(annotations, true));
+
+  const naturalWidth = parseFloat(svg.getAttribute('width')) || 400;
+  const naturalHeight = parseFloat(svg.getAttribute('height')) || 400;
+  if (!svg.getAttribute('viewBox')) svg.setAttribute('viewBox', `0 0 ${naturalWidth} ${naturalHeight}`);
+
+  const scale = Math.min(MAX_PANEL_WIDTH / naturalWidth, 1);
+  const width = round(naturalWidth * scale);
+  const height = round(naturalHeight * scale);
+  svg.setAttribute('x', x);
+  svg.setAttribute('y', y);
+  svg.setAttribute('width', width);
+  svg.setAttribute('height', height);
+
+  return { markup: new XMLSerializer().serializeToString(svg), width, height };
+};
+
+const placeImage = ({ image }, x, y) => {
+  const scale = Math.min(MAX_PANEL_WIDTH / image.width, 1);
+  const width = round(image.width * scale);
+  const height = round(image.height * scale);
+  return {
+    markup: `<image x="${x}" y="${y}" width="${width}" height="${height}" xlink:href="${escapeXml(image.href)}"/>`,
+    width,
+    height,
+  };
+};
+
+const legendMarkup = (sections, x, y) => {
+  const parts = [textLine(x, y + 12, 'Legend', { size: 13, weight: 'bold' })];
+  let cursor = y + 12 + LINE_HEIGHT;
+  sections.forEach(({ label, items }) => {
+    parts.push(textLine(x, cursor, label, { size: 11, weight: 'bold', color: '#495057' }));
+    cursor += LINE_HEIGHT;
+    items.forEach((item) => {
+      if (item.color) {
+        parts.push(`<rect x="${x}" y="${cursor - 10}" width="12" height="12" rx="2" fill="${escapeXml(item.color)}" stroke="#cccccc"/>`);
+        parts.push(textLine(x + 18, cursor, item.label, { size: 11 }));
+      } else {
+        parts.push(textLine(x, cursor, `${item.code}: ${item.label}`, { size: 11 }));
+      }
+      cursor += LINE_HEIGHT;
+    });
+  });
+  return { markup: parts.join('\n'), height: cursor - y };
+};
+
+// Compose the figure. Each panel is `{ title, stats, content, liveSvg }` for
+// SVG images or `{ title, stats, image: { href, width, height } }` for rasters.
+export function buildFigureSvg({ title, panels, legend = null, description = null }) {
+  const parts = [];
+  let y = MARGIN;
+
+  if (title) {
+    parts.push(textLine(MARGIN, y + 16, title, { size: 16, weight: 'bold' }));
+    y += 16 + LINE_HEIGHT;
+  }
+
+  // Panels side by side, each with its own heading and stats line
+  let x = MARGIN;
+  let rowHeight = 0;
+  panels.forEach((panel) => {
+    let panelY = y;
+    const headings = [];
+    if (panel.title) {
+      headings.push(textLine(x, panelY + 13, panel.title, { size: 13, weight: 'bold' }));
+      panelY += LINE_HEIGHT;
+    }
+    if (panel.stats) {
+      headings.push(textLine(x, panelY + 12, panel.stats, { size: 12, color: '#155724' }));
+      panelY += LINE_HEIGHT;
+    }
+    if (headings.length > 0) panelY += 4;
+
+    const placed = panel.image ? placeImage(panel, x, panelY) : placeSvg(panel, x, panelY);
+    if (!placed) return;
+
+    parts.push(...headings, placed.markup);
+    rowHeight = Math.max(rowHeight, panelY - y + placed.height);
+    x += placed.width + MARGIN;
+  });
+
+  const width = Math.max(x, 400);
+  y += rowHeight + MARGIN;
+
+  if (legend && legend.length > 0) {
+    const placed = legendMarkup(legend, MARGIN, y);
+    parts.push(placed.markup);
+    y += placed.height + MARGIN;
+  }
+
+  if (description) {
+    wrapText(description, width - MARGIN * 2, 11).forEach((line) => {
+      parts.push(textLine(MARGIN, y + 11, line, { size: 11, color: '#495057' }));
+      y += 15;
+    });
+    y += MARGIN;
+  }
+
+  const height = round(y);
+  return {
+    svg: [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${round(width)}" height="${height}" viewBox="0 0 ${round(width)} ${height}">`,
+      `<rect width="100%" height="100%" fill="#ffffff"/>`,
+      ...parts,
+      '</svg>',
+    ].join('\n'),
+    width: round(width),
+    height,
+  };
+}
+
+// Plain-text version of a description stored as HTML
+export const htmlToText = (html) => new DOMParser().parseFromString(html, 'text/html').body.textContent.trim();
+
+// Read a raster image (e.g. the R-chie PNG) as a data URL with its size, so it
+// can be embedded in the figure without tainting the export canvas. Loaded
+// through the data source and image cache, like the image on screen; only
+// sources that return no body (a memory entry with just a url) are fetched
+// from their image URL.
+export async function loadRasterImage(source, familyAcc, type, { signal } = {}) {
+  const { content, contentType } = await loadCachedImage(source, familyAcc, type, { signal });
+  let href = await rasterContentToDataUrl(content, contentType);
+  if (!href) {
+    const response = await fetch(sourceForImageType(source, type).getImageUrl(familyAcc, type), { signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    href = await readBlobAsDataUrl(await response.blob());
+  }
+  const { width, height } = await loadImageElement(href);
+  return { href, width, height };
+}
+
+const loadImageElement = (src) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = () => reject(new Error('The image could not be decoded'));
+  image.src = src;
+});
+
+const rasterise = async ({ svg, width, height }, dpi) => {
+  let scale = dpi / CSS_DPI;
+  if (width * height * scale * scale > MAX_CANVAS_PIXELS) {
+    scale = Math.sqrt(MAX_CANVAS_PIXELS / (width * height));
+    console.warn(`Export resolution reduced to ${Math.round(scale * CSS_DPI)} DPI to fit the browser canvas limit`);
+  }
+
+  const image = await loadImageElement(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const context = canvas.getContext('2d');
+  context.fillStyle = '#ffffff';
+  context.fillRect(0, 0, canvas.width, canvas.height);
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return { canvas, dpi: scale * CSS_DPI };
+};
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The figure could not be encoded'))), type, quality);
+});
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  bytes.forEach((byte) => {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  });
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Insert a pHYs chunk after IHDR so the PNG opens at the chosen DPI
+const withPngResolution = async (blob, dpi) => {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const pixelsPerMetre = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  view.setUint32(8, pixelsPerMetre);
+  view.setUint32(12, pixelsPerMetre);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+
+  const ihdrEnd = 8 + 25; // signature + IHDR chunk
+  return new Blob([bytes.subarray(0, ihdrEnd), chunk, bytes.subarray(ihdrEnd)], { type: 'image/png' });
+};
+
+const deflate = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// Single-page PDF holding the rasterised figure. Pixels are stored losslessly
+// (Flate) where the browser can compress them, otherwise as a JPEG.
+const buildPdf = async (canvas, { width, height }) => {
+  let imageBytes;
+  let filter;
+  if (typeof CompressionStream === 'function') {
+    const { data } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    const rgb = new Uint8Array(canvas.width * canvas.height * 3);
+    for (let source = 0, target = 0; source < data.length; source += 4, target += 3) {
+      rgb[target] = data[source];
+      rgb[target + 1] = data[source + 1];
+      rgb[target + 2] = data[source + 2];
+    }
+    imageBytes = await deflate(rgb);
+    filter = '/FlateDecode';
+  } else {
+    imageBytes = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.95)).arrayBuffer());
+    filter = '/DCTDecode';
+  }
+
+  // CSS pixels to PDF points
+  const pageWidth = round(width * 0.75);
+  const pageHeight = round(height * 0.75);
+  const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (number, ...body) => {
+    offsets[number] = length;
+    push(`${number} 0 obj\n`);
+    body.forEach(push);
+    push('\nendobj\n');
+  };
+
+  push('%PDF-1.4\n');
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+  object(2, '<< /Type /Pages /Kids [3 0 R] /Count 1 >>');
+  object(3, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`);
+  object(
+    4,
+    `<< /Type /XObject /Subtype /Image /Width ${canvas.width} /Height ${canvas.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter ${filter} /Length ${imageBytes.length} >>\nstream\n`,
+    imageBytes,
+    '\nendstream'
+  );
+  object(5, `<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+
+  const xrefOffset = length;
+  push(`xref\n0 6\n0000000000 65535 f \n${offsets.slice(1).map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`);
+  push(`trailer\n<< /Size 6 /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+};
+
+// Encode a composed figure in the requested format
+export async function renderFigure(figure, { format = 'png', dpi = 300 } = {}) {
+  if (format === 'svg') {
+    return new Blob([figure.svg], { type: 'image/svg+xml' });
+  }
+
+  const { canvas, dpi: actualDpi } = await rasterise(figure, dpi);
+  if (format === 'pdf') {
+    return buildPdf(canvas, figure);
+  }
+  return withPngResolution(await canvasToBlob(canvas, 'image/png'), actualDpi);
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
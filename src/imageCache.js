@@ -0,0 +1,239 @@
+import { createAbortError } from './loadErrors';
+import { sourceForImageType } from './imageTypes';
+
+// Module-level image cache shared by every SecondaryStructure instance on the
+// page. Entries are keyed by data source, accession and type; concurrent
+// requests for the same entry share one promise. Optionally persists to
+// IndexedDB so images survive page reloads. Types with their own url or load
+// (see imageTypes.js) are fetched that way but cached under the same source.
+// Only sources with an `id` are persisted: anonymous ids are handed out per
+// page load, so they would match another source's entries after a reload.
+
+const DB_NAME = 'rfam-secondary-structures';
+const DB_STORE = 'images';
+
+const config = {
+  enabled: true,
+  ttl: 24 * 60 * 60 * 1000,
+  version: 1,
+  persist: false,
+};
+
+const images = new Map();
+const availability = new Map();
+const inFlight = new Map();
+
+// Sources without an explicit id still get a stable per-object namespace,
+// for the lifetime of the page
+const anonymousSourceIds = new WeakMap();
+let anonymousSourceCount = 0;
+
+const getSourceId = (source) => {
+  if (source.id) return source.id;
+  if (!anonymousSourceIds.has(source)) {
+    anonymousSourceCount += 1;
+    anonymousSourceIds.set(source, `source-${anonymousSourceCount}`);
+  }
+  return anonymousSourceIds.get(source);
+};
+
+const buildKey = (source, familyAcc, type) => `${getSourceId(source)}|${familyAcc}|${type}`;
+
+const isPersistable = (source) => Boolean(source.id);
+
+const isFresh = (entry) => entry && entry.version === config.version && Date.now() - entry.storedAt < config.ttl;
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!config.persist || typeof indexedDB === 'undefined') return Promise.resolve(null);
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(DB_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('Image cache: IndexedDB unavailable, using memory only', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runDbRequest = async (mode, operation) => {
+  const db = await openDb();
+  if (!db) return null;
+
+  return new Promise((resolve) => {
+    const transaction = db.transaction(DB_STORE, mode);
+    const request = operation(transaction.objectStore(DB_STORE));
+    request.onsuccess = () => resolve(request.result ?? null);
+    request.onerror = () => resolve(null);
+  });
+};
+
+const readPersisted = (key) => runDbRequest('readonly', (store) => store.get(key));
+
+const readPersistedKeys = () => runDbRequest('readonly', (store) => store.getAllKeys());
+
+const writePersisted = (key, entry) => runDbRequest('readwrite', (store) => store.put(entry, key));
+
+const deletePersisted = (key) => runDbRequest('readwrite', (store) => store.delete(key));
+
+const clearPersisted = () => runDbRequest('readwrite', (store) => store.clear());
+
+export function configureImageCache(options = {}) {
+  const versionChanged = options.version !== undefined && options.version !== config.version;
+  Object.assign(config, options);
+
+  if (versionChanged) {
+    images.clear();
+    availability.clear();
+  }
+}
+
+// Share one underlying request between concurrent callers. Each caller can
+// abort independently; the underlying request is only aborted once every
+// caller waiting on it has gone. `start` receives the signal and an
+// isStale() check, true once the entry was invalidated mid-request, so its
+// result is handed to the waiting callers but not stored.
+const shareRequest = (key, start, signal) => {
+  let entry = inFlight.get(key);
+
+  if (!entry) {
+    const created = { controller: new AbortController(), consumers: 0, stale: false };
+    created.promise = start(created.controller.signal, () => created.stale).finally(() => {
+      if (inFlight.get(key) === created) inFlight.delete(key);
+    });
+    // Callers may all abort before it settles; keep the rejection handled
+    created.promise.catch(() => {});
+    entry = created;
+    inFlight.set(key, entry);
+  }
+
+  const shared = entry;
+  shared.consumers += 1;
+
+  return new Promise((resolve, reject) => {
+    const release = () => {
+      shared.consumers -= 1;
+      signal?.removeEventListener('abort', onAbort);
+    };
+
+    function onAbort() {
+      release();
+      if (shared.consumers === 0) {
+        shared.controller.abort();
+        if (inFlight.get(key) === shared) inFlight.delete(key);
+      }
+      reject(createAbortError());
+    }
+
+    if (signal?.aborted) {
+      onAbort();
+      return;
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    shared.promise.then(
+      (value) => {
+        release();
+        resolve(value);
+      },
+      (error) => {
+        release();
+        reject(error);
+      }
+    );
+  });
+};
+
+export async function loadCachedImage(source, familyAcc, type, { signal } = {}) {
+  const typeSource = sourceForImageType(source, type);
+  if (!config.enabled) return typeSource.loadImage(familyAcc, type, { signal });
+
+  const key = buildKey(source, familyAcc, type);
+  const cached = images.get(key);
+  if (isFresh(cached)) return cached.value;
+
+  const persistable = isPersistable(source);
+  return shareRequest(key, async (requestSignal, isStale) => {
+    const persisted = persistable ? await readPersisted(key) : null;
+    if (isFresh(persisted) && !isStale()) {
+      images.set(key, persisted);
+      return persisted.value;
+    }
+
+    const { content, contentType = '' } = await typeSource.loadImage(familyAcc, type, { signal: requestSignal });
+    const entry = { value: { content, contentType }, storedAt: Date.now(), version: config.version };
+    if (!isStale()) {
+      images.set(key, entry);
+      availability.set(key, { value: true, storedAt: entry.storedAt, version: entry.version });
+      if (persistable) writePersisted(key, entry);
+    }
+    return entry.value;
+  }, signal);
+}
+
+export async function checkCachedAvailability(source, familyAcc, type, { signal } = {}) {
+  const typeSource = sourceForImageType(source, type);
+  if (!config.enabled) return typeSource.checkAvailability(familyAcc, type, { signal });
+
+  const key = buildKey(source, familyAcc, type);
+  if (isFresh(images.get(key))) return true;
+
+  const cached = availability.get(key);
+  if (isFresh(cached)) return cached.value;
+
+  return shareRequest(`head|${key}`, async (requestSignal, isStale) => {
+    const isAvailable = await typeSource.checkAvailability(familyAcc, type, { signal: requestSignal });
+    if (!isStale()) availability.set(key, { value: isAvailable, storedAt: Date.now(), version: config.version });
+    return isAvailable;
+  }, signal);
+}
+
+// Warm the cache ahead of time, e.g. for the next family in a list
+export function prefetchImages(source, familyAcc, types) {
+  return Promise.all(types.map((type) => (
+    loadCachedImage(source, familyAcc, type).catch((error) => {
+      console.warn(`Prefetch failed for ${familyAcc}/${type}:`, error);
+      return null;
+    })
+  )));
+}
+
+// Drop matching entries; omitted fields act as wildcards. Requests still
+// running for them are forgotten, and their results are not stored.
+export async function invalidateImageCache({ source, familyAcc, type } = {}) {
+  const prefix = source ? `${getSourceId(source)}|` : '';
+
+  const matches = (key) => {
+    const [, acc, entryType] = key.split('|');
+    return key.startsWith(prefix)
+      && (familyAcc === undefined || acc === familyAcc)
+      && (type === undefined || entryType === type);
+  };
+
+  inFlight.forEach((entry, key) => {
+    if (!matches(key.replace(/^head\|/, ''))) return;
+    entry.stale = true;
+    inFlight.delete(key);
+  });
+
+  if (!source && familyAcc === undefined && type === undefined) {
+    images.clear();
+    availability.clear();
+    await clearPersisted();
+    return;
+  }
+
+  const persistedKeys = (await readPersistedKeys()) || [];
+  const keys = [...new Set([...images.keys(), ...availability.keys(), ...persistedKeys])].filter(matches);
+  keys.forEach((key) => {
+    images.delete(key);
+    availability.delete(key);
+  });
+  await Promise.all(keys.map(deletePersisted));
+}
@@ -0,0 +1,184 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  checkCachedAvailability,
+  configureImageCache,
+  invalidateImageCache,
+  loadCachedImage,
+} from './imageCache';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => { resolve = done; });
+  return { promise, resolve };
+};
+
+// Counts calls; `pending` holds a load open until the test resolves it
+const createSource = (id) => {
+  const source = {
+    id,
+    loads: 0,
+    checks: 0,
+    pending: null,
+    signals: [],
+    async loadImage(familyAcc, type, { signal } = {}) {
+      source.loads += 1;
+      source.signals.push(signal);
+      if (source.pending) await source.pending.promise;
+      return { content: `<svg>${familyAcc} ${type} ${source.loads}</svg>`, contentType: 'image/svg+xml' };
+    },
+    async checkAvailability() {
+      source.checks += 1;
+      return true;
+    },
+  };
+  return source;
+};
+
+describe('image cache', () => {
+  beforeEach(async () => {
+    configureImageCache({ enabled: true, ttl: 60000, version: 1, persist: false });
+    await invalidateImageCache();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('serves repeat loads from memory', async () => {
+    const source = createSource('fixture');
+    const first = await loadCachedImage(source, 'RF00001', 'cons');
+    const second = await loadCachedImage(source, 'RF00001', 'cons');
+    expect(second).toEqual(first);
+    expect(source.loads).toBe(1);
+  });
+
+  it('shares entries between sources with the same id', async () => {
+    const source = createSource('shared');
+    await loadCachedImage(source, 'RF00001', 'cons');
+    const other = createSource('shared');
+    await loadCachedImage(other, 'RF00001', 'cons');
+    expect(other.loads).toBe(0);
+  });
+
+  it('keeps sources without an id apart', async () => {
+    const first = createSource();
+    const second = createSource();
+    await loadCachedImage(first, 'RF00001', 'cons');
+    await loadCachedImage(second, 'RF00001', 'cons');
+    expect(second.loads).toBe(1);
+  });
+
+  it('reloads once an entry is older than the ttl', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const source = createSource('ttl');
+    await loadCachedImage(source, 'RF00001', 'cons');
+    vi.advanceTimersByTime(59000);
+    await loadCachedImage(source, 'RF00001', 'cons');
+    expect(source.loads).toBe(1);
+    vi.advanceTimersByTime(2000);
+    await loadCachedImage(source, 'RF00001', 'cons');
+    expect(source.loads).toBe(2);
+  });
+
+  it('drops every entry when the version changes', async () => {
+    const source = createSource('version');
+    await loadCachedImage(source, 'RF00001', 'cons');
+    configureImageCache({ version: 2 });
+    await loadCachedImage(source, 'RF00001', 'cons');
+    expect(source.loads).toBe(2);
+  });
+
+  it('goes straight to the source when disabled', async () => {
+    configureImageCache({ enabled: false });
+    const source = createSource('disabled');
+    await loadCachedImage(source, 'RF00001', 'cons');
+    await loadCachedImage(source, 'RF00001', 'cons');
+    expect(source.loads).toBe(2);
+  });
+
+  it('answers availability from a cached image without probing', async () => {
+    const source = createSource('probe');
+    await loadCachedImage(source, 'RF00001', 'cons');
+    await expect(checkCachedAvailability(source, 'RF00001', 'cons')).resolves.toBe(true);
+    expect(source.checks).toBe(0);
+    await checkCachedAvailability(source, 'RF00001', 'norm');
+    await checkCachedAvailability(source, 'RF00001', 'norm');
+    expect(source.checks).toBe(1);
+  });
+
+  describe('concurrent requests', () => {
+    it('share one load', async () => {
+      const source = createSource('dedup');
+      source.pending = deferred();
+      const requests = [loadCachedImage(source, 'RF00001', 'cons'), loadCachedImage(source, 'RF00001', 'cons')];
+      source.pending.resolve();
+      const [first, second] = await Promise.all(requests);
+      expect(first).toEqual(second);
+      expect(source.loads).toBe(1);
+    });
+
+    it('keep the load running while any caller still waits', async () => {
+      const source = createSource('abort-one');
+      source.pending = deferred();
+      const controller = new AbortController();
+      const aborted = loadCachedImage(source, 'RF00001', 'cons', { signal: controller.signal });
+      const waiting = loadCachedImage(source, 'RF00001', 'cons');
+      controller.abort();
+      await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+      expect(source.signals[0].aborted).toBe(false);
+
+      source.pending.resolve();
+      await expect(waiting).resolves.toMatchObject({ contentType: 'image/svg+xml' });
+    });
+
+    it('abort the load once every caller has gone', async () => {
+      const source = createSource('abort-all');
+      source.pending = deferred();
+      const controllers = [new AbortController(), new AbortController()];
+      const requests = controllers.map(({ signal }) => loadCachedImage(source, 'RF00001', 'cons', { signal }));
+      controllers.forEach((controller) => controller.abort());
+      await Promise.allSettled(requests);
+      expect(source.signals[0].aborted).toBe(true);
+
+      source.pending = null;
+      await loadCachedImage(source, 'RF00001', 'cons');
+      expect(source.loads).toBe(2);
+    });
+  });
+
+  describe('invalidateImageCache', () => {
+    it('drops only the matching entries', async () => {
+      const source = createSource('invalidate');
+      await loadCachedImage(source, 'RF00001', 'cons');
+      await loadCachedImage(source, 'RF00002', 'cons');
+      await invalidateImageCache({ source, familyAcc: 'RF00001' });
+
+      await loadCachedImage(source, 'RF00001', 'cons');
+      await loadCachedImage(source, 'RF00002', 'cons');
+      expect(source.loads).toBe(3);
+    });
+
+    it('hands an in-flight result to its callers without storing it', async () => {
+      const source = createSource('stale');
+      source.pending = deferred();
+      const running = loadCachedImage(source, 'RF00001', 'cons');
+      await invalidateImageCache({ source });
+      source.pending.resolve();
+      await expect(running).resolves.toMatchObject({ content: '<svg>RF00001 cons 1</svg>' });
+
+      source.pending = null;
+      await expect(loadCachedImage(source, 'RF00001', 'cons')).resolves.toMatchObject({ content: '<svg>RF00001 cons 2</svg>' });
+    });
+
+    it('starts a fresh request rather than joining an invalidated one', async () => {
+      const source = createSource('rejoin');
+      source.pending = deferred();
+      const running = loadCachedImage(source, 'RF00001', 'cons');
+      await invalidateImageCache({ source, type: 'cons' });
+      const fresh = loadCachedImage(source, 'RF00001', 'cons');
+      source.pending.resolve();
+      await Promise.all([running, fresh]);
+      expect(source.loads).toBe(2);
+    });
+  });
+});
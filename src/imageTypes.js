@@ -0,0 +1,209 @@
+import { createHttpDataSource } from './dataSource';
+import { ImageLoadError } from './loadErrors';
+import { RscapeLegend, RchieLegend, SCALE_LEGENDS, LEGEND_SECTIONS } from './Legends';
+import { COLOR_SCALES, annotateScaleSvg } from './colorScales';
+import { processRscapeSvg, formatRscapeStats, renderRscapeStats } from './rscape';
+
+// Registry of image types. Each type says how it is loaded and shown, so the
+// component never branches on type names and new types (a pseudoknot view, an
+// in-house model) can be added without forking it:
+//
+//   label            dropdown and heading text; defaults to the id in capitals
+//   description      HTML shown under the controls
+//   format           'svg' (default) or 'raster'
+//   selectable       offered in the type dropdown (default true)
+//   url(familyAcc, { source })              optional; fetch from this URL instead of the data source
+//   load(familyAcc, { source, signal })     optional; Promise<{ content, contentType }>, replaces url
+//   processSvg(svgElement)                  optional; runs on each rendered SVG, may return stats
+//   renderStats(stats), formatStats(stats)  optional; show the stats on screen and in exports
+//   legend, legendSections                  optional legend component, and its entries for exports
+//   companion        optional { type, title, diff } panel shown beside this one (e.g. CaCoFold)
+//   title            heading over this panel when it has a companion
+//   panZoom          SVG gets pan/zoom controls (default false)
+//   layers           clicking toggles the #seq/#outline/#pairs layers (default true for SVG)
+//   palette          fills follow the palette prop (R-scape colours)
+//   imageAlt         alternative text for raster images
+//   exportRemoveIds  ids of elements left out of exported figures
+
+const FORMATS = ['svg', 'raster'];
+
+const registry = new Map();
+
+const normalizeDefinition = (id, definition) => {
+  if (typeof id !== 'string' || !id) {
+    throw new Error('Image type id must be a non-empty string');
+  }
+  const format = definition.format || 'svg';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unknown format "${format}" for image type ${id}; expected ${FORMATS.join(' or ')}`);
+  }
+  if (definition.companion && !definition.companion.type) {
+    throw new Error(`Companion panel of image type ${id} needs a type`);
+  }
+
+  return {
+    selectable: true,
+    panZoom: false,
+    layers: format === 'svg',
+    palette: false,
+    exportRemoveIds: [],
+    ...definition,
+    id,
+    label: definition.label || id.toUpperCase(),
+    description: definition.description || '',
+    format,
+    companion: definition.companion ? { diff: false, title: definition.companion.type, ...definition.companion } : null,
+  };
+};
+
+// Add a type, or replace one with the same id (including built-ins). Returns
+// a function that removes it again. Register types before mounting the
+// components that use them.
+export function registerImageType(id, definition = {}) {
+  const entry = normalizeDefinition(id, definition);
+  registry.set(id, entry);
+  return () => {
+    if (registry.get(id) === entry) registry.delete(id);
+  };
+}
+
+export function unregisterImageType(id) {
+  registry.delete(id);
+}
+
+export const getImageType = (type) => registry.get(type) || null;
+
+export const isSelectableImageType = (type) => Boolean(registry.get(type)?.selectable);
+
+export const getImageTypeLabel = (type) => {
+  return registry.get(type)?.label || type.toUpperCase();
+};
+
+// Data source for one type: the shared source, or one that follows the
+// type's own url or load
+export function sourceForImageType(source, type) {
+  const definition = registry.get(type);
+  if (!definition?.url && !definition?.load) return source;
+
+  const getImageUrl = (familyAcc) => (definition.url
+    ? definition.url(familyAcc, { source })
+    : source.getImageUrl(familyAcc, type));
+
+  // Fetch with the source's own fetcher and headers where it can lend them
+  if (!definition.load) {
+    const typeSource = source.withImageUrl
+      ? source.withImageUrl(getImageUrl)
+      : createHttpDataSource({ buildImageUrl: getImageUrl });
+    return { ...typeSource, getVarnaUrl: source.getVarnaUrl };
+  }
+
+  const loadImage = (familyAcc, _type, { signal } = {}) => definition.load(familyAcc, { source, signal });
+  return {
+    getImageUrl,
+    getVarnaUrl: source.getVarnaUrl,
+    loadImage,
+    // Loaders have no cheaper probe than loading
+    async checkAvailability(familyAcc, _type, options) {
+      try {
+        await loadImage(familyAcc, type, options);
+        return true;
+      } catch (error) {
+        if (error instanceof ImageLoadError && error.kind === 'not-found') return false;
+        throw error;
+      }
+    },
+  };
+}
+
+// Hoisted so the default keeps a stable identity across renders
+export const DEFAULT_IMAGE_TYPES = ['rscape', 'cons', 'norm', 'cov', 'ent', 'maxcm', 'fcbp', 'rchie'];
+
+// Types coloured along a scale: gradient legend, and tooltips with the value
+// read back from each fill
+const scaleType = (type) => ({
+  processSvg: annotateScaleSvg(COLOR_SCALES[type]),
+  legend: SCALE_LEGENDS[type],
+  legendSections: LEGEND_SECTIONS[type],
+});
+
+// Built-in types, in dropdown order
+registerImageType('rscape', {
+  label: 'R-scape',
+  description: 'R-scape is a method for testing whether covariation analysis supports the presence of a conserved RNA secondary structure. This page shows R-scape analysis of the secondary structure from the Rfam seed alignment and a new structure with covariation support that is compatible with the same alignment.',
+  title: 'Current Rfam structure',
+  companion: { type: 'rscape-cacofold', title: 'R-scape optimised structure', diff: true },
+  processSvg: processRscapeSvg,
+  renderStats: renderRscapeStats,
+  formatStats: formatRscapeStats,
+  legend: RscapeLegend,
+  legendSections: LEGEND_SECTIONS.rscape,
+  panZoom: true,
+  layers: false,
+  palette: true,
+  exportRemoveIds: ['text1000'],
+});
+
+registerImageType('cons', {
+  label: 'seqcons',
+  description: 'Conservation (cons): this plot colours each character by how well conserved it is. A site with 100% sequence conservation is coloured red, 0% is violet.',
+  ...scaleType('cons'),
+});
+
+registerImageType('fcbp', {
+  label: 'bpcons',
+  description: 'Fraction of canonical basepairs (fcbp): this plot colours each base-pair by the percentage of canonical basepairs (A:U, C:G, G:U) which are found in the corresponding position in the alignment. A pair of sites with 100% canonical pairs is coloured red, a site with 0% is violet.',
+  ...scaleType('fcbp'),
+});
+
+registerImageType('cov', {
+  label: 'cov',
+  description: 'Covariation (cov): this plot colours each base-pair according to how much the corresponding nucleotides are co-varying. A base-pair position at which every pair of nucleotides is co-variant with respect to every other pair in the alignment gets a score of 2 and is coloured red. Conversely, a base-pair position at every pair is anti-co-variant with respect to every other pair (e.g. lots of mutations to non-canonical pairs) gets a score of -2 and is coloured violet. Further information on this metric can be found in this <a href="#">document</a>.',
+  ...scaleType('cov'),
+});
+
+registerImageType('ent', {
+  label: 'ent',
+  description: 'Sequence entropy (ent): this plot colours each character by how under- or over-represented the residues at the site are. Sites where one or more nucleotides are over-represented while the other nucleotides are either non-existent or near the background frequencies, receive positive scores; sites where all the nucleotides are under-represented receive negative scores. Further information on this metric can be found in this <a href="#">document</a>.',
+  ...scaleType('ent'),
+});
+
+registerImageType('maxcm', {
+  label: 'maxcm',
+  description: 'Maximum parse of the covariance model (maxcm): this plot takes the covariance model for the family and generates the sequence with the maximum possible score for that model. Each character is coloured by how many bits it contributes to the total score.',
+  ...scaleType('maxcm'),
+});
+
+registerImageType('norm', {
+  label: 'norm',
+  description: 'Normal: this plot simply colours each stem loop.',
+});
+
+registerImageType('rchie', {
+  label: 'rchie',
+  description: 'R-chie (rchie): arc diagrams showing secondary structure, calculated using the <a href="#">R-chie</a> package. The consensus secondary structure is visualized as arc diagrams on top of each diagram, where a basepair in an arc, connect two columns of the block of sequences below. The block of sequences below represent the multiple sequence alignment of the Rfam seed, where each sequence is a horizontal strip. Sequences in the alignments are ordered so sequences that best fit the structure are on top, and those that do not fit as well are towards the bottom. For seed alignments for over 500 sequences, 500 random sequences were chosen. Rfam entries without structure have a blank plot. Colour information can be found on the <a href="#">R-chie FAQ</a>.',
+  format: 'raster',
+  imageAlt: 'R-chie arc diagram',
+  legend: RchieLegend,
+  legendSections: LEGEND_SECTIONS.rchie,
+});
+
+// Shown beside rscape rather than on its own
+registerImageType('rscape-cacofold', {
+  label: 'R-scape CaCoFold',
+  selectable: false,
+  processSvg: processRscapeSvg,
+  renderStats: renderRscapeStats,
+  formatStats: formatRscapeStats,
+  panZoom: true,
+  layers: false,
+  palette: true,
+  exportRemoveIds: ['text1000'],
+});
+
+// Drawn in the browser from the sequence and structure props
+registerImageType('structure', {
+  label: 'Structure',
+  description: 'Structure drawn in the browser from the supplied sequence and dot-bracket notation. Pseudoknotted base pairs are shown as dashed lines.',
+  selectable: false,
+  panZoom: true,
+});
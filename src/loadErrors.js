@@ -0,0 +1,84 @@
+// Typed failures for image requests. `kind` drives the message shown in the
+// error panel and whether a request is worth retrying.
+
+export const LOAD_ERROR_DETAILS = {
+  network: {
+    title: 'Network Error',
+    message: 'The image server could not be reached. It may be offline or may not allow cross-origin (CORS) requests from this page.',
+  },
+  timeout: {
+    title: 'Request Timed Out',
+    message: 'The image server took too long to respond.',
+  },
+  'not-found': {
+    title: 'Image Not Found',
+    message: 'The server has no image of this type for this family (HTTP 404).',
+  },
+  http: {
+    title: 'Server Error',
+    message: 'The image server returned an error.',
+  },
+  'not-available': {
+    title: 'Unable to Load Structure',
+    message: 'No secondary structure images available for this family.',
+  },
+  malformed: {
+    title: 'Invalid Image',
+    message: 'The server response is not a valid SVG or PNG image.',
+  },
+  'invalid-structure': {
+    title: 'Invalid Structure',
+    message: 'The sequence and dot-bracket structure could not be drawn.',
+  },
+  'invalid-alignment': {
+    title: 'Invalid Alignment',
+    message: 'The Stockholm alignment could not be read.',
+  },
+  aborted: {
+    title: 'Request Cancelled',
+    message: 'The request was cancelled.',
+  },
+};
+
+export class ImageLoadError extends Error {
+  constructor(kind, message = LOAD_ERROR_DETAILS[kind]?.message, { status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'ImageLoadError';
+    this.kind = kind;
+    this.status = status;
+  }
+
+  // Network blips, timeouts, rate limiting and 5xx responses may succeed on a second attempt
+  get retryable() {
+    if (this.kind === 'network' || this.kind === 'timeout') return true;
+    return this.kind === 'http' && (this.status === 429 || this.status >= 500);
+  }
+}
+
+export const createAbortError = () => new DOMException('The request was aborted', 'AbortError');
+
+export const httpError = (status) => new ImageLoadError(
+  status === 404 ? 'not-found' : 'http',
+  `HTTP ${status}`,
+  { status }
+);
+
+// Normalise anything a data source may throw into an ImageLoadError
+export function toLoadError(error) {
+  if (error instanceof ImageLoadError) return error;
+
+  if (error?.name === 'AbortError') {
+    return new ImageLoadError('aborted', undefined, { cause: error });
+  }
+
+  // Plain errors from custom data sources following the "HTTP <status>" convention
+  const statusMatch = /HTTP (\d{3})/.exec(error?.message || '');
+  if (statusMatch) {
+    const loadError = httpError(Number(statusMatch[1]));
+    loadError.cause = error;
+    return loadError;
+  }
+
+  // fetch rejects with a TypeError for DNS, connection and CORS failures alike
+  return new ImageLoadError('network', error?.message || undefined, { cause: error });
+}
@@ -0,0 +1,148 @@
+import { parseDotBracket, splitPseudoknots } from './dotBracket';
+import { layoutStructure } from './structureLayout';
+
+const NUMBERING_INTERVAL = 10;
+
+// Defaults live in presentation attributes rather than the stylesheet so that
+// overlay colours, and anything post-processing the fills, can replace them
+const DEFAULT_NUCLEOTIDE_FILL = '#212529';
+const DEFAULT_PAIR_STROKE = '#495057';
+const DEFAULT_PSEUDOKNOT_STROKE = '#6B2010';
+
+export const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Shorten a pair line so it does not run into the nucleotide labels
+const trimSegment = (from, to, trim) => {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.hypot(dx, dy) || 1;
+  const ratio = Math.min(trim / length, 0.4);
+  return {
+    x1: round(from.x + dx * ratio),
+    y1: round(from.y + dy * ratio),
+    x2: round(to.x - dx * ratio),
+    y2: round(to.y - dy * ratio),
+  };
+};
+
+// Draw a structure from a sequence and dot-bracket string. The SVG uses the
+// same #seq, #outline and #pairs groups as the Rfam images so the layer toggle
+// applies, and carries data-tooltip attributes for hover text.
+//
+// Overlays are passed as options: `nucleotideFills[i]` colours a nucleotide,
+// `pairStroke(i, j)` colours a pair line and `nucleotideNotes[i]` is appended
+// to the nucleotide tooltip. Missing entries fall back to the default styling.
+export function renderStructureSvg(sequence, structure, {
+  spacing = 15,
+  padding = 30,
+  nucleotideFills = [],
+  pairStroke = () => null,
+  nucleotideNotes = [],
+} = {}) {
+  const residues = sequence.replace(/\s+/g, '').toUpperCase();
+  const brackets = structure.replace(/\s+/g, '');
+
+  if (residues.length !== brackets.length) {
+    throw new Error(`Sequence length (${residues.length}) does not match structure length (${brackets.length})`);
+  }
+
+  if (residues.length === 0) {
+    throw new Error('Sequence and structure are empty');
+  }
+
+  const { partners, pairs } = parseDotBracket(brackets);
+  const { nested, pseudoknots } = splitPseudoknots(pairs);
+  const coordinates = layoutStructure(residues.length, nested, { spacing });
+  const pseudoknotted = new Set(pseudoknots.flatMap(({ i, j }) => [i, j]));
+
+  const xs = coordinates.map(({ x }) => x);
+  const ys = coordinates.map(({ y }) => y);
+  const minX = Math.min(...xs) - padding;
+  const minY = Math.min(...ys) - padding;
+  const width = round(Math.max(...xs) - minX + padding);
+  const height = round(Math.max(...ys) - minY + padding);
+
+  // Backbone normals point away from the paired side, for placing position numbers
+  const firstPair = nested[0] || pseudoknots[0];
+  const normalAt = (index) => {
+    const previous = coordinates[Math.max(index - 1, 0)];
+    const next = coordinates[Math.min(index + 1, coordinates.length - 1)];
+    const dx = next.x - previous.x;
+    const dy = next.y - previous.y;
+    const length = Math.hypot(dx, dy) || 1;
+    return { x: -dy / length, y: dx / length };
+  };
+  let side = 1;
+  if (firstPair) {
+    const normal = normalAt(firstPair.i);
+    const from = coordinates[firstPair.i];
+    const to = coordinates[firstPair.j];
+    if (normal.x * (to.x - from.x) + normal.y * (to.y - from.y) > 0) side = -1;
+  }
+
+  const describe = (index) => {
+    const partner = partners[index];
+    const label = `Position ${index + 1}: ${residues[index]}`;
+    const note = nucleotideNotes[index] ? `; ${nucleotideNotes[index]}` : '';
+    if (partner === -1) return `${label}, unpaired${note}`;
+    const relation = pseudoknotted.has(index) ? 'pseudoknot pair with' : 'pairs with';
+    return `${label}, ${relation} ${partner + 1} (${residues[partner]})${note}`;
+  };
+
+  const backbone = coordinates
+    .map(({ x, y }, index) => `${index === 0 ? 'M' : 'L'}${round(x)} ${round(y)}`)
+    .join(' ');
+
+  const pairLine = ({ i, j }, className, defaultStroke) => {
+    const { x1, y1, x2, y2 } = trimSegment(coordinates[i], coordinates[j], spacing * 0.35);
+    const tooltip = `Base pair ${i + 1}-${j + 1} (${residues[i]}:${residues[j]})`;
+    const stroke = pairStroke(i, j) || defaultStroke;
+    return `<line class="${className}" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${escapeXml(stroke)}"`
+      + ` data-i="${i + 1}" data-j="${j + 1}" data-tooltip="${escapeXml(tooltip)}"/>`;
+  };
+
+  const nucleotides = coordinates.map(({ x, y }, index) => (
+    `<text class="ss-nucleotide" x="${round(x)}" y="${round(y)}"`
+    + ` fill="${escapeXml(nucleotideFills[index] || DEFAULT_NUCLEOTIDE_FILL)}"`
+    + ` data-position="${index + 1}"`
+    + `${partners[index] === -1 ? '' : ` data-partner="${partners[index] + 1}"`}`
+    + ` data-tooltip="${escapeXml(describe(index))}">${escapeXml(residues[index])}</text>`
+  ));
+
+  const numbers = coordinates
+    .map((point, index) => ({ point, index }))
+    .filter(({ index }) => index === 0 || (index + 1) % NUMBERING_INTERVAL === 0)
+    .map(({ point, index }) => {
+      const normal = normalAt(index);
+      const x = round(point.x + side * normal.x * spacing * 1.4);
+      const y = round(point.y + side * normal.y * spacing * 1.4);
+      return `<text class="ss-position-number" x="${x}" y="${y}">${index + 1}</text>`;
+    });
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${round(minX)} ${round(minY)} ${width} ${height}">`,
+    '<style>',
+    '.ss-nucleotide{font:bold 10px sans-serif;text-anchor:middle;dominant-baseline:central;cursor:pointer}',
+    '.ss-position-number{font:8px sans-serif;text-anchor:middle;dominant-baseline:central;fill:#6c757d}',
+    '.ss-pair{stroke-width:1.5;cursor:pointer}',
+    '.ss-pseudoknot-pair{stroke-width:1.2;stroke-dasharray:3 2;cursor:pointer}',
+    '</style>',
+    `<g id="outline"><path d="${backbone}" fill="none" stroke="#ced4da" stroke-width="1"/></g>`,
+    '<g id="pairs">',
+    ...nested.map((pair) => pairLine(pair, 'ss-pair', DEFAULT_PAIR_STROKE)),
+    ...pseudoknots.map((pair) => pairLine(pair, 'ss-pseudoknot-pair', DEFAULT_PSEUDOKNOT_STROKE)),
+    '</g>',
+    '<g id="seq">',
+    ...nucleotides,
+    ...numbers,
+    '</g>',
+    '</svg>',
+  ].join('\n');
+}
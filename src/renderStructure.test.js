@@ -0,0 +1,79 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { escapeXml, renderStructureSvg } from './renderStructure';
+
+const render = (...args) => new DOMParser().parseFromString(renderStructureSvg(...args), 'image/svg+xml');
+
+const pairsOf = (document, selector) => [...document.querySelectorAll(selector)]
+  .map((line) => [Number(line.getAttribute('data-i')), Number(line.getAttribute('data-j'))]);
+
+describe('renderStructureSvg', () => {
+  it('draws one nucleotide per residue with its partner', () => {
+    const document = render('GGGAAACCC', '(((...)))');
+    const nucleotides = [...document.querySelectorAll('#seq .ss-nucleotide')];
+    expect(nucleotides.map((text) => text.textContent).join('')).toBe('GGGAAACCC');
+    expect(nucleotides.map((text) => text.getAttribute('data-partner'))).toEqual(['9', '8', '7', null, null, null, '3', '2', '1']);
+    expect(nucleotides[0].getAttribute('data-tooltip')).toBe('Position 1: G, pairs with 9 (C)');
+    expect(nucleotides[4].getAttribute('data-tooltip')).toBe('Position 5: A, unpaired');
+  });
+
+  it('draws nested pairs as pair lines', () => {
+    const document = render('GGAAACC', '((...))');
+    expect(pairsOf(document, '#pairs .ss-pair')).toEqual([[1, 7], [2, 6]]);
+    expect(document.querySelectorAll('.ss-pseudoknot-pair')).toHaveLength(0);
+  });
+
+  it.each([
+    ['[]', 'GGAAAGGAAACCAAACC', '((...[[...))...]]'],
+    ['{}', 'GGAAAGGAAACCAAACC', '((...{{...))...}}'],
+    ['<>', 'GGAAAGGAAACCAAACC', '((...<<...))...>>'],
+    ['letters', 'GGAAAGGAAACCAAACC', '((...AA...))...aa'],
+  ])('draws %s pseudoknots as dashed pairs', (_, sequence, structure) => {
+    const document = render(sequence, structure);
+    expect(pairsOf(document, '.ss-pair')).toEqual([[1, 12], [2, 11]]);
+    expect(pairsOf(document, '.ss-pseudoknot-pair')).toEqual([[6, 17], [7, 16]]);
+    expect(document.querySelector('[data-position="6"]').getAttribute('data-tooltip')).toBe('Position 6: G, pseudoknot pair with 17 (C)');
+  });
+
+  it('ignores whitespace and upper-cases the sequence', () => {
+    const document = render('gg aa\ncc', '((..))');
+    expect([...document.querySelectorAll('.ss-nucleotide')].map((text) => text.textContent).join('')).toBe('GGAACC');
+  });
+
+  it('numbers the first position and every tenth', () => {
+    const document = render('G'.repeat(25), '.'.repeat(25));
+    expect([...document.querySelectorAll('.ss-position-number')].map((text) => text.textContent)).toEqual(['1', '10', '20']);
+  });
+
+  it('applies overlay fills, pair strokes and notes', () => {
+    const document = render('GAC', '(.)', {
+      nucleotideFills: ['red'],
+      pairStroke: (i, j) => (i === 0 && j === 2 ? 'blue' : null),
+      nucleotideNotes: ['', 'conserved'],
+    });
+    expect(document.querySelector('[data-position="1"]').getAttribute('fill')).toBe('red');
+    expect(document.querySelector('[data-position="2"]').getAttribute('fill')).toBe('#212529');
+    expect(document.querySelector('[data-position="2"]').getAttribute('data-tooltip')).toBe('Position 2: A, unpaired; conserved');
+    expect(document.querySelector('.ss-pair').getAttribute('stroke')).toBe('blue');
+  });
+
+  it('rejects a sequence and structure of different lengths', () => {
+    expect(() => renderStructureSvg('GGAAACC', '((...)))')).toThrow('Sequence length (7) does not match structure length (8)');
+    expect(() => renderStructureSvg('GGAAACCA', '((...))')).toThrow('Sequence length (8) does not match structure length (7)');
+  });
+
+  it('rejects an empty structure', () => {
+    expect(() => renderStructureSvg(' ', '')).toThrow('Sequence and structure are empty');
+  });
+
+  it('rejects unbalanced brackets', () => {
+    expect(() => renderStructureSvg('GGAAACC', '((...).')).toThrow("Unmatched '(' at position 1");
+    expect(() => renderStructureSvg('GGAAACC', '((...]]')).toThrow("Unmatched ']' at position 6");
+  });
+});
+
+describe('escapeXml', () => {
+  it('escapes markup characters', () => {
+    expect(escapeXml(`<a href="x">'&'</a>`)).toBe('&lt;a href=&quot;x&quot;&gt;&apos;&amp;&apos;&lt;/a&gt;');
+  });
+});
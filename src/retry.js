@@ -0,0 +1,68 @@
+import { ImageLoadError, createAbortError, toLoadError } from './loadErrors';
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Run `operation(signal)` with a per-attempt timeout, retrying retryable
+// failures with exponential backoff. Rejects with an ImageLoadError; aborting
+// `signal` rejects with kind 'aborted' and stops any further attempts.
+export async function runWithRetry(operation, {
+  signal,
+  timeout = 15000,
+  retries = 2,
+  retryDelay = 500,
+} = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    const controller = new AbortController();
+    let timedOut = false;
+
+    const onAbort = () => controller.abort();
+    if (signal?.aborted) controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const timer = timeout > 0
+      ? setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, timeout)
+      : null;
+
+    try {
+      return await operation(controller.signal);
+    } catch (error) {
+      let loadError;
+      if (signal?.aborted) {
+        loadError = new ImageLoadError('aborted', undefined, { cause: error });
+      } else if (timedOut) {
+        loadError = new ImageLoadError('timeout', `No response after ${timeout} ms`, { cause: error });
+      } else {
+        loadError = toLoadError(error);
+      }
+
+      if (!loadError.retryable || attempt >= retries) throw loadError;
+
+      try {
+        await wait(retryDelay * 2 ** attempt, signal);
+      } catch (abortError) {
+        throw new ImageLoadError('aborted', undefined, { cause: abortError });
+      }
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi } from 'vitest';
+import { runWithRetry } from './retry';
+import { ImageLoadError } from './loadErrors';
+
+const OPTIONS = { retryDelay: 1, timeout: 0 };
+
+// A request that never answers: it only settles, rejecting, when aborted
+const hang = (signal) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+});
+
+describe('runWithRetry', () => {
+  it('returns the first successful result', async () => {
+    const operation = vi.fn(async () => 'svg');
+    await expect(runWithRetry(operation, OPTIONS)).resolves.toBe('svg');
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries network failures and 5xx responses', async () => {
+    const operation = vi.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockRejectedValueOnce(new Error('HTTP 503'))
+      .mockResolvedValueOnce('svg');
+    await expect(runWithRetry(operation, OPTIONS)).resolves.toBe('svg');
+    expect(operation).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry a 404', async () => {
+    const operation = vi.fn(async () => { throw new Error('HTTP 404'); });
+    await expect(runWithRetry(operation, OPTIONS)).rejects.toMatchObject({ kind: 'not-found', status: 404 });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after the last retry with the last error', async () => {
+    const operation = vi.fn(async () => { throw new ImageLoadError('http', 'HTTP 500', { status: 500 }); });
+    await expect(runWithRetry(operation, { ...OPTIONS, retries: 1 })).rejects.toMatchObject({ kind: 'http', status: 500 });
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  it('times out each attempt', async () => {
+    const operation = vi.fn(hang);
+    await expect(runWithRetry(operation, { ...OPTIONS, timeout: 5, retries: 1 })).rejects.toMatchObject({ kind: 'timeout' });
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  it('stops when the caller aborts', async () => {
+    const controller = new AbortController();
+    const operation = vi.fn(hang);
+    const result = runWithRetry(operation, { ...OPTIONS, signal: controller.signal });
+    controller.abort();
+    await expect(result).rejects.toMatchObject({ kind: 'aborted' });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops waiting between attempts when the caller aborts', async () => {
+    const controller = new AbortController();
+    const operation = vi.fn(async () => {
+      controller.abort();
+      throw new TypeError('Failed to fetch');
+    });
+    await expect(runWithRetry(operation, { ...OPTIONS, signal: controller.signal })).rejects.toMatchObject({ kind: 'aborted' });
+    expect(operation).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,84 @@
+import { rscapeColorKey } from './theme';
+
+// R-scape SVG handling, shared by the rscape and rscape-cacofold image types
+
+// Add tooltips to the coloured nucleotides and pairs, drop the R-scape title
+// and count the significant pairs
+export function processRscapeSvg(svgElement) {
+  let basepairs = 0;
+  let significantBasepairs = 0;
+
+  // Process tspans (nucleotides)
+  const tspans = svgElement.querySelectorAll('tspan');
+  tspans.forEach((tspan) => {
+    const colorKey = rscapeColorKey(tspan.getAttribute('fill'));
+    const nucleotide = tspan.textContent;
+    let title = '';
+
+    let displayNucleotide = nucleotide;
+    if (nucleotide === 'R') displayNucleotide = 'G or A';
+    else if (nucleotide === 'Y') displayNucleotide = 'C or U';
+
+    if (colorKey === 'conserved97') {
+      title = `${displayNucleotide} present >97%`;
+    } else if (colorKey === 'conserved90' && nucleotide !== "5'") {
+      title = `${displayNucleotide} present 90-97%`;
+    } else if (colorKey === 'conserved75') {
+      title = `${displayNucleotide} present 75-90%`;
+    } else if (colorKey === 'conserved50') {
+      title = `${displayNucleotide} present 50-75%`;
+    }
+
+    if (title) {
+      tspan.style.cursor = 'pointer';
+      tspan.dataset.tooltip = title;
+    }
+  });
+
+  // Process paths (basepairs and circles)
+  const paths = svgElement.querySelectorAll('path');
+  paths.forEach((path) => {
+    const colorKey = rscapeColorKey(path.getAttribute('fill'));
+    const strokeWidth = path.getAttribute('stroke-width');
+    let title = '';
+
+    if (colorKey === 'significant') {
+      title = 'Significant basepair';
+      significantBasepairs++;
+    } else if (colorKey === 'conserved97') {
+      title = 'Nucleotide present 97%';
+    } else if (colorKey === 'conserved90') {
+      title = 'Nucleotide present 90%';
+    } else if (colorKey === 'conserved75') {
+      title = 'Nucleotide present 75%';
+    } else if (colorKey === 'conserved50') {
+      title = 'Nucleotide present 50%';
+    }
+
+    if (strokeWidth === '1.44') {
+      basepairs++;
+    }
+
+    if (title) {
+      path.style.cursor = 'pointer';
+      path.dataset.tooltip = title;
+    }
+  });
+
+  // Remove R-scape title if present
+  const titleElement = svgElement.querySelector('#text1000');
+  if (titleElement) titleElement.remove();
+
+  return { basepairs, significantBasepairs };
+}
+
+export const formatRscapeStats = ({ basepairs, significantBasepairs }) => (
+  `${significantBasepairs} out of ${basepairs} basepairs are significant at E-value=0.05`
+);
+
+export const renderRscapeStats = ({ basepairs, significantBasepairs }) => (
+  <>
+    <strong>{significantBasepairs}</strong> out of{' '}
+    <strong>{basepairs}</strong> basepairs are significant at E-value=0.05
+  </>
+);
@@ -0,0 +1,128 @@
+// Allow-list sanitisers for markup injected with dangerouslySetInnerHTML.
+// Anything not listed here is dropped: scripts, foreignObject, event handler
+// attributes, javascript: URLs and external CSS. Ids, classes and presentation
+// attributes are kept, so the #seq/#outline/#pairs groups and the fills used
+// for R-scape tooltips survive.
+
+const SVG_ELEMENTS = new Set([
+  'svg', 'g', 'defs', 'symbol', 'use', 'title', 'desc', 'style',
+  'path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon',
+  'text', 'tspan', 'textPath', 'a', 'image',
+  'marker', 'clipPath', 'mask', 'pattern', 'linearGradient', 'radialGradient', 'stop',
+  'filter', 'feGaussianBlur', 'feOffset', 'feBlend', 'feFlood', 'feComposite',
+  'feMerge', 'feMergeNode', 'feColorMatrix', 'feDropShadow',
+]);
+
+const SVG_ATTRIBUTES = new Set([
+  'id', 'class', 'style', 'transform', 'xmlns', 'xmlns:xlink', 'version', 'xml:space',
+  'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry', 'fx', 'fy',
+  'dx', 'dy', 'd', 'points', 'width', 'height', 'viewBox', 'preserveAspectRatio',
+  'fill', 'fill-opacity', 'fill-rule', 'stroke', 'stroke-width', 'stroke-opacity',
+  'stroke-linecap', 'stroke-linejoin', 'stroke-dasharray', 'stroke-dashoffset',
+  'stroke-miterlimit', 'opacity', 'color', 'visibility', 'display', 'overflow',
+  'font-family', 'font-size', 'font-weight', 'font-style', 'font-variant',
+  'text-anchor', 'dominant-baseline', 'alignment-baseline', 'baseline-shift',
+  'letter-spacing', 'word-spacing', 'writing-mode', 'rotate', 'textLength', 'lengthAdjust',
+  'clip-path', 'clip-rule', 'clipPathUnits', 'mask', 'maskUnits',
+  'marker-start', 'marker-mid', 'marker-end', 'markerWidth', 'markerHeight',
+  'markerUnits', 'refX', 'refY', 'orient',
+  'gradientUnits', 'gradientTransform', 'spreadMethod', 'offset', 'stop-color', 'stop-opacity',
+  'patternUnits', 'patternContentUnits', 'patternTransform',
+  'filter', 'filterUnits', 'stdDeviation', 'in', 'in2', 'result', 'mode', 'operator',
+  'values', 'type', 'flood-color', 'flood-opacity',
+  'shape-rendering', 'text-rendering', 'vector-effect',
+  'href', 'xlink:href', 'xlink:title', 'target',
+]);
+
+const HTML_ELEMENTS = new Set(['a', 'b', 'strong', 'i', 'em', 'br', 'code', 'sub', 'sup', 'span', 'p']);
+
+const HTML_ATTRIBUTES = new Set(['href', 'title', 'target', 'rel', 'class']);
+
+const URL_ATTRIBUTES = new Set(['href', 'xlink:href']);
+
+// Fragment references, relative URLs, http(s) links and embedded raster images
+const SAFE_URL = /^(?:#|\/|\.|https?:|data:image\/(?:png|jpe?g|gif|webp);|[^:]*$)/i;
+
+// External resources and script-like constructs in CSS
+const UNSAFE_CSS = /@import|expression\s*\(|javascript:|behavior\s*:|url\s*\(\s*['"]?\s*(?!#)/i;
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+const CDATA_SECTION_NODE = 4;
+
+const isSafeAttribute = (name, value, allowedAttributes) => {
+  if (name.startsWith('on')) return false;
+  if (!allowedAttributes.has(name) && !name.startsWith('data-')) return false;
+  if (URL_ATTRIBUTES.has(name)) return SAFE_URL.test(value.replace(/[\s\u0000-\u001f]/g, ''));
+  if (name === 'style') return !UNSAFE_CSS.test(value);
+  return true;
+};
+
+const cleanAttributes = (element, allowedAttributes) => {
+  [...element.attributes].forEach(({ name, value }) => {
+    if (!isSafeAttribute(name, value, allowedAttributes)) {
+      element.removeAttribute(name);
+    }
+  });
+};
+
+const cleanTree = (root, allowedElements, allowedAttributes) => {
+  cleanAttributes(root, allowedAttributes);
+
+  [...root.childNodes].forEach((child) => {
+    if (child.nodeType === TEXT_NODE) return;
+
+    // The markup ends up in the HTML parser, which may not treat CDATA as
+    // text (e.g. inside <title> and <desc>). Keep the text, escaped.
+    if (child.nodeType === CDATA_SECTION_NODE) {
+      child.replaceWith(child.ownerDocument.createTextNode(child.data));
+      return;
+    }
+
+    if (child.nodeType !== ELEMENT_NODE || !allowedElements.has(child.localName)) {
+      child.remove();
+      return;
+    }
+
+    if (child.localName === 'style' && UNSAFE_CSS.test(child.textContent)) {
+      child.remove();
+      return;
+    }
+
+    cleanTree(child, allowedElements, allowedAttributes);
+  });
+};
+
+// Parse as XML first; fall back to the lenient HTML parser for SVGs that use
+// HTML entities or are otherwise not well-formed XML.
+const parseSvgRoot = (content) => {
+  const parser = new DOMParser();
+  const xmlDoc = parser.parseFromString(content, 'image/svg+xml');
+
+  if (!xmlDoc.querySelector('parsererror') && xmlDoc.documentElement?.localName === 'svg') {
+    return { root: xmlDoc.documentElement, isXml: true };
+  }
+
+  const htmlDoc = parser.parseFromString(content, 'text/html');
+  return { root: htmlDoc.querySelector('svg'), isXml: false };
+};
+
+// Returns the sanitised SVG markup, or null when the content has no <svg> root
+export function sanitizeSvg(content) {
+  if (typeof DOMParser === 'undefined') return null;
+
+  const { root, isXml } = parseSvgRoot(content);
+  if (!root) return null;
+
+  cleanTree(root, SVG_ELEMENTS, SVG_ATTRIBUTES);
+  return isXml ? new XMLSerializer().serializeToString(root) : root.outerHTML;
+}
+
+// For the short descriptions shown above each visualisation
+export function sanitizeHtml(html) {
+  if (typeof DOMParser === 'undefined') return '';
+
+  const body = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html').body;
+  cleanTree(body, HTML_ELEMENTS, HTML_ATTRIBUTES);
+  return body.innerHTML;
+}
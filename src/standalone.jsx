@@ -1,55 +1,228 @@
-import React from 'react';
+import React, { createRef } from 'react';
 import { createRoot } from 'react-dom/client';
 import SecondaryStructure from './SecondaryStructures.jsx';
+import SecondaryStructureGrid from './SecondaryStructureGrid';
+import { createHttpDataSource, createRfamDataSource, createMemoryDataSource } from './dataSource';
+import { configureImageCache, prefetchImages, invalidateImageCache } from './imageCache';
+import { DOM_EVENTS, withDomEvents } from './domEvents';
+import { DEFAULT_IMAGE_TYPES, registerImageType, unregisterImageType, getImageType } from './imageTypes';
+import { parseAnnotations } from './annotations';
+import { SecondaryStructureElement, defineSecondaryStructureElement } from './SecondaryStructureElement';
 import './SecondaryStructures.css';
 
-// Auto-mount function for embedding in non-React apps
-function mountSecondaryStructures(container, props) {
+// Mounted containers and their handles. A Map rather than a WeakMap so the
+// observer can find containers that left the document; entries are removed
+// on unmount.
+const mountedHandles = new Map();
+
+// Accept 'load', 'rfam-ss:load' or 'onLoad'
+const resolveEventName = (name) => {
+  if (DOM_EVENTS[name]) return DOM_EVENTS[name];
+  if (Object.values(DOM_EVENTS).includes(name)) return name;
+  const prefixed = `rfam-ss:${name}`;
+  if (Object.values(DOM_EVENTS).includes(prefixed)) return prefixed;
+  throw new Error(`Unknown event: ${name}`);
+};
+
+// Render a component into a container and return a handle for updating,
+// listening to and unmounting it. Mounting an already mounted container
+// replaces what was there.
+function mountComponent(Component, container, props = {}) {
   if (!container) {
     console.error('SecondaryStructures: No container element provided');
     return null;
   }
 
+  mountedHandles.get(container)?.unmount();
+
   const root = createRoot(container);
-  root.render(<SecondaryStructure {...props} />);
-  return root;
+  // Only the single-family component has a ref API
+  const ref = Component === SecondaryStructure ? createRef() : null;
+  const listeners = [];
+  let currentProps = props;
+  let mounted = true;
+
+  const render = () => {
+    root.render(<Component ref={ref} {...withDomEvents(container, currentProps)} />);
+  };
+
+  const handle = {
+    container,
+    root,
+    Component,
+    get props() {
+      return currentProps;
+    },
+    // The component's ref API (selectType, zoomIn, getStructure, ...); null for grids
+    get instance() {
+      return ref?.current ?? null;
+    },
+    // Merge new props into the current ones and re-render
+    update(nextProps = {}) {
+      if (!mounted) return handle;
+      currentProps = { ...currentProps, ...nextProps };
+      render();
+      return handle;
+    },
+    // Listen for a component event; the listener gets the event detail.
+    // Returns a function that removes the listener.
+    on(name, listener) {
+      const eventName = resolveEventName(name);
+      const handler = (event) => listener(event.detail, event);
+      container.addEventListener(eventName, handler);
+      listeners.push({ eventName, listener, handler });
+      return () => handle.off(name, listener);
+    },
+    off(name, listener) {
+      const eventName = resolveEventName(name);
+      const index = listeners.findIndex((entry) => entry.eventName === eventName && entry.listener === listener);
+      if (index === -1) return;
+      container.removeEventListener(eventName, listeners[index].handler);
+      listeners.splice(index, 1);
+    },
+    // Unmounting destroys the pan/zoom instances along with the component
+    unmount() {
+      if (!mounted) return;
+      mounted = false;
+      listeners.splice(0).forEach(({ eventName, handler }) => container.removeEventListener(eventName, handler));
+      root.unmount();
+      if (mountedHandles.get(container) === handle) mountedHandles.delete(container);
+    },
+  };
+
+  mountedHandles.set(container, handle);
+  render();
+  return handle;
 }
 
-// Auto-initialize on DOM ready if data-rfam-ss containers exist
-function autoInit() {
-  const containers = document.querySelectorAll('[data-rfam-ss]');
-
-  containers.forEach((container) => {
-    const familyAcc = container.dataset.familyAcc;
-    const apiBaseUrl = container.dataset.apiBaseUrl || '/family';
-    const imageTypesAttr = container.dataset.imageTypes;
-    const varnaEnabled = container.dataset.varnaEnabled !== 'false';
-    const showLegend = container.dataset.showLegend !== 'false';
-    const showDescription = container.dataset.showDescription !== 'false';
-
-    const imageTypes = imageTypesAttr
+// Auto-mount function for embedding in non-React apps
+function mountSecondaryStructures(container, props) {
+  return mountComponent(SecondaryStructure, container, props);
+}
+
+// Mount a comparison grid of several families
+function mountSecondaryStructureGrid(container, props) {
+  return mountComponent(SecondaryStructureGrid, container, props);
+}
+
+// Handle of a mounted container, including auto-mounted ones
+function getHandle(container) {
+  return mountedHandles.get(container) || null;
+}
+
+// Read a data-rfam-ss container's configuration from its data attributes
+function readContainerConfig(container) {
+  const familyAcc = container.dataset.familyAcc;
+  const familyAccs = container.dataset.familyAccs;
+  const imageTypesAttr = container.dataset.imageTypes;
+
+  const props = {
+    apiBaseUrl: container.dataset.apiBaseUrl || '/family',
+    imageTypes: imageTypesAttr
       ? imageTypesAttr.split(',').map(t => t.trim())
-      : ['rscape', 'cons', 'norm', 'cov', 'ent', 'maxcm', 'fcbp', 'rchie'];
+      : DEFAULT_IMAGE_TYPES,
+    varnaEnabled: container.dataset.varnaEnabled !== 'false',
+    showLegend: container.dataset.showLegend !== 'false',
+    showDescription: container.dataset.showDescription !== 'false',
+  };
 
-    if (!familyAcc) {
-      console.error('SecondaryStructures: data-family-acc attribute is required');
-      return;
-    }
+  // data-family-accs="RF00005,RF00023" renders a comparison grid
+  if (familyAccs) {
+    return {
+      Component: SecondaryStructureGrid,
+      props: { ...props, familyAccs: familyAccs.split(',').map(acc => acc.trim()).filter(Boolean) },
+    };
+  }
+
+  if (!familyAcc) {
+    console.error('SecondaryStructures: data-family-acc attribute is required');
+    return null;
+  }
+
+  return { Component: SecondaryStructure, props: { ...props, familyAcc } };
+}
+
+// Mount a container from its data attributes, or bring an existing mount in
+// line with them. Props set through handle.update() are kept.
+function mountFromAttributes(container) {
+  const config = readContainerConfig(container);
+  const existing = mountedHandles.get(container);
+
+  if (!config) {
+    existing?.unmount();
+    return null;
+  }
+  if (existing?.Component === config.Component) {
+    return existing.update(config.props);
+  }
+  return mountComponent(config.Component, container, { ...existing?.props, ...config.props });
+}
 
-    mountSecondaryStructures(container, {
-      familyAcc,
-      apiBaseUrl,
-      imageTypes,
-      varnaEnabled,
-      showLegend,
-      showDescription,
+// Auto-initialize on DOM ready if data-rfam-ss containers exist
+function autoInit(scope = document) {
+  scope.querySelectorAll('[data-rfam-ss]').forEach((container) => {
+    if (!mountedHandles.has(container)) mountFromAttributes(container);
+  });
+}
+
+// Opt-in: keep data-rfam-ss containers under `target` mounted as the page
+// changes. New containers are mounted, data-* changes re-render and removed
+// containers are unmounted. Returns a function that stops observing.
+function observe(target = document.body) {
+  const isContainer = (node) => node.nodeType === Node.ELEMENT_NODE && node.matches('[data-rfam-ss]');
+
+  const containersIn = (node) => {
+    if (node.nodeType !== Node.ELEMENT_NODE) return [];
+    return [...(isContainer(node) ? [node] : []), ...node.querySelectorAll('[data-rfam-ss]')];
+  };
+
+  const observer = new MutationObserver((records) => {
+    let removed = false;
+
+    records.forEach((record) => {
+      if (record.type === 'attributes') {
+        // Only data-* attributes configure a container; pan/zoom transforms,
+        // classes and styles change constantly inside the components
+        if (!record.attributeName.startsWith('data-')) return;
+        if (record.attributeName === 'data-rfam-ss' && !isContainer(record.target)) {
+          mountedHandles.get(record.target)?.unmount();
+        } else if (isContainer(record.target)) {
+          mountFromAttributes(record.target);
+        }
+        return;
+      }
+
+      // Ignore the components' own rendering
+      const owner = record.target.nodeType === Node.ELEMENT_NODE && record.target.closest('[data-rfam-ss]');
+      if (owner && mountedHandles.has(owner)) return;
+
+      if (record.removedNodes.length > 0) removed = true;
+      record.addedNodes.forEach((node) => {
+        containersIn(node).forEach((container) => {
+          if (!mountedHandles.has(container)) mountFromAttributes(container);
+        });
+      });
     });
+
+    // Containers moved within the page stay connected and keep their mount
+    if (removed) {
+      [...mountedHandles.values()].forEach((handle) => {
+        if (!handle.container.isConnected) handle.unmount();
+      });
+    }
   });
+
+  observer.observe(target, { childList: true, subtree: true, attributes: true });
+  autoInit(target);
+
+  return () => observer.disconnect();
 }
 
+defineSecondaryStructureElement();
+
 // Run auto-init when DOM is ready
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', autoInit);
+  document.addEventListener('DOMContentLoaded', () => autoInit());
 } else {
   autoInit();
 }
@@ -57,5 +230,22 @@ if (document.readyState === 'loading') {
 // Expose for manual mounting
 window.RfamSecondaryStructures = {
   mount: mountSecondaryStructures,
+  mountGrid: mountSecondaryStructureGrid,
+  observe,
+  getHandle,
   SecondaryStructure,
+  SecondaryStructureGrid,
+  SecondaryStructureElement,
+  defineElement: defineSecondaryStructureElement,
+  createHttpDataSource,
+  createRfamDataSource,
+  createMemoryDataSource,
+  configureImageCache,
+  prefetchImages,
+  invalidateImageCache,
+  registerImageType,
+  unregisterImageType,
+  getImageType,
+  parseAnnotations,
+  events: DOM_EVENTS,
 };
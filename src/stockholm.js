@@ -0,0 +1,56 @@
+// Minimal Stockholm parser covering what the overlays need: sequences
+// (interleaved blocks are concatenated), #=GC column annotations such as
+// SS_cons and RF, and #=GF family annotations. Only the first alignment in
+// the file is read.
+
+export function parseStockholm(text) {
+  const lines = text.split(/\r?\n/);
+
+  if (!lines[0]?.startsWith('# STOCKHOLM')) {
+    throw new Error('Not a Stockholm file: missing "# STOCKHOLM 1.0" header');
+  }
+
+  const order = [];
+  const residues = {};
+  const columnAnnotations = {};
+  const familyAnnotations = {};
+
+  for (const rawLine of lines.slice(1)) {
+    const line = rawLine.trim();
+    if (line === '//') break;
+    if (!line) continue;
+
+    if (line.startsWith('#=GC')) {
+      const [, tag, ...data] = line.split(/\s+/);
+      columnAnnotations[tag] = (columnAnnotations[tag] || '') + data.join('');
+    } else if (line.startsWith('#=GF')) {
+      const [, tag, ...data] = line.split(/\s+/);
+      familyAnnotations[tag] = familyAnnotations[tag] ? `${familyAnnotations[tag]} ${data.join(' ')}` : data.join(' ');
+    } else if (!line.startsWith('#')) {
+      const [name, data = ''] = line.split(/\s+/);
+      if (!(name in residues)) {
+        order.push(name);
+        residues[name] = '';
+      }
+      residues[name] += data;
+    }
+  }
+
+  const sequences = order.map((name) => ({ name, sequence: residues[name] }));
+
+  if (sequences.length === 0) {
+    throw new Error('Alignment contains no sequences');
+  }
+
+  const length = sequences[0].sequence.length;
+  const ragged = sequences.find(({ sequence }) => sequence.length !== length);
+  if (ragged) {
+    throw new Error(`Sequence ${ragged.name} has ${ragged.sequence.length} columns, expected ${length}`);
+  }
+
+  if (columnAnnotations.SS_cons && columnAnnotations.SS_cons.length !== length) {
+    throw new Error(`SS_cons has ${columnAnnotations.SS_cons.length} columns, expected ${length}`);
+  }
+
+  return { sequences, length, columnAnnotations, familyAnnotations };
+}
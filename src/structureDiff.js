@@ -0,0 +1,74 @@
+import { helixSpan } from './structureModel';
+
+// Compare the Rfam seed structure with the R-scape CaCoFold structure, both
+// given as structure models (see structureModel.js). Pairs are matched by
+// alignment position, since the two layouts place nucleotides differently.
+
+export const PAIR_STATUS = {
+  shared: 'shared',
+  rfamOnly: 'rfam-only',
+  cacofoldOnly: 'cacofold-only',
+};
+
+const positionsOf = (model, pair) => [model.nucleotides[pair.i].position, model.nucleotides[pair.j].position];
+
+const pairKey = (first, second) => `${first}-${second}`;
+
+// A helix is lost (or gained) when none of its pairs appear in the other
+// structure, and changed when only some of them do
+const classifyHelices = (model, otherKeys) => model.helices.map((helix) => {
+  const kept = helix.pairs.filter((pair) => otherKeys.has(pairKey(...positionsOf(model, pair)))).length;
+  return {
+    id: helix.id,
+    ...helixSpan(model, helix),
+    pairs: helix.pairs.length,
+    significantPairs: helix.pairs.filter((pair) => pair.significant).length,
+    kept,
+  };
+});
+
+export function diffStructureModels(rfamModel, cacofoldModel) {
+  const rfamPairs = new Map(rfamModel.pairs.map((pair) => [pairKey(...positionsOf(rfamModel, pair)), pair]));
+  const cacofoldPairs = new Map(cacofoldModel.pairs.map((pair) => [pairKey(...positionsOf(cacofoldModel, pair)), pair]));
+
+  const keys = new Set([...rfamPairs.keys(), ...cacofoldPairs.keys()]);
+  const pairs = [...keys].map((key) => {
+    const rfamPair = rfamPairs.get(key) || null;
+    const cacofoldPair = cacofoldPairs.get(key) || null;
+    const [i, j] = key.split('-').map(Number);
+
+    let status = PAIR_STATUS.shared;
+    if (!cacofoldPair) status = PAIR_STATUS.rfamOnly;
+    else if (!rfamPair) status = PAIR_STATUS.cacofoldOnly;
+
+    const rfamSignificant = Boolean(rfamPair?.significant);
+    const cacofoldSignificant = Boolean(cacofoldPair?.significant);
+    let significanceChange = null;
+    if (rfamPair && cacofoldPair && rfamSignificant !== cacofoldSignificant) {
+      significanceChange = cacofoldSignificant ? 'gained' : 'lost';
+    }
+
+    return { i, j, status, rfamPair, cacofoldPair, rfamSignificant, cacofoldSignificant, significanceChange };
+  }).sort((a, b) => a.i - b.i || a.j - b.j);
+
+  const rfamHelices = classifyHelices(rfamModel, cacofoldPairs);
+  const cacofoldHelices = classifyHelices(cacofoldModel, rfamPairs);
+
+  const count = (predicate) => pairs.filter(predicate).length;
+
+  return {
+    pairs,
+    helices: {
+      lost: rfamHelices.filter((helix) => helix.kept === 0),
+      gained: cacofoldHelices.filter((helix) => helix.kept === 0),
+      changed: rfamHelices.filter((helix) => helix.kept > 0 && helix.kept < helix.pairs),
+    },
+    summary: {
+      shared: count((pair) => pair.status === PAIR_STATUS.shared),
+      rfamOnly: count((pair) => pair.status === PAIR_STATUS.rfamOnly),
+      cacofoldOnly: count((pair) => pair.status === PAIR_STATUS.cacofoldOnly),
+      significanceGained: count((pair) => pair.significanceChange === 'gained'),
+      significanceLost: count((pair) => pair.significanceChange === 'lost'),
+    },
+  };
+}
@@ -0,0 +1,106 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { PAIR_STATUS, diffStructureModels } from './structureDiff';
+import { extractStructureModel } from './structureModel';
+import { renderStructureSvg } from './renderStructure';
+
+const modelOf = (structure) => {
+  const container = document.createElement('div');
+  container.innerHTML = renderStructureSvg('A'.repeat(structure.length), structure);
+  return extractStructureModel(container.querySelector('svg'));
+};
+
+const pairAt = (model, i, j) => model.pairs.find((pair) => (
+  model.nucleotides[pair.i].position === i && model.nucleotides[pair.j].position === j
+));
+
+// Rfam has helices at 1-4/8-11 and 14-15/19-20. CaCoFold drops the outer pair
+// of the first, drops the second entirely and adds one at 22-23/27-28.
+const RFAM = '((((...))))..((...))........';
+const CACOFOLD = '.(((...)))...........((...))';
+
+describe('diffStructureModels', () => {
+  it('finds nothing to report between identical structures', () => {
+    const diff = diffStructureModels(modelOf(RFAM), modelOf(RFAM));
+    expect(diff.pairs.every(({ status }) => status === PAIR_STATUS.shared)).toBe(true);
+    expect(diff.helices).toEqual({ lost: [], gained: [], changed: [] });
+    expect(diff.summary).toEqual({ shared: 6, rfamOnly: 0, cacofoldOnly: 0, significanceGained: 0, significanceLost: 0 });
+  });
+
+  it('classifies each pair by the structures it appears in, 5\' to 3\'', () => {
+    const diff = diffStructureModels(modelOf(RFAM), modelOf(CACOFOLD));
+    expect(diff.pairs.map(({ i, j, status }) => [i, j, status])).toEqual([
+      [1, 11, 'rfam-only'],
+      [2, 10, 'shared'],
+      [3, 9, 'shared'],
+      [4, 8, 'shared'],
+      [14, 20, 'rfam-only'],
+      [15, 19, 'rfam-only'],
+      [22, 28, 'cacofold-only'],
+      [23, 27, 'cacofold-only'],
+    ]);
+    expect(diff.summary).toMatchObject({ shared: 3, rfamOnly: 3, cacofoldOnly: 2 });
+  });
+
+  it('links each pair to the pairs of both models', () => {
+    const rfam = modelOf(RFAM);
+    const cacofold = modelOf(CACOFOLD);
+    const [outer, shared] = diffStructureModels(rfam, cacofold).pairs;
+    expect(outer.rfamPair).toBe(pairAt(rfam, 1, 11));
+    expect(outer.cacofoldPair).toBeNull();
+    expect(shared.rfamPair).toBe(pairAt(rfam, 2, 10));
+    expect(shared.cacofoldPair).toBe(pairAt(cacofold, 2, 10));
+  });
+
+  it('reports lost, gained and changed helices', () => {
+    const { helices } = diffStructureModels(modelOf(RFAM), modelOf(CACOFOLD));
+    expect(helices.lost).toEqual([
+      { id: 2, fivePrime: [14, 15], threePrime: [19, 20], pairs: 2, significantPairs: 0, kept: 0 },
+    ]);
+    expect(helices.gained).toEqual([
+      { id: 2, fivePrime: [22, 23], threePrime: [27, 28], pairs: 2, significantPairs: 0, kept: 0 },
+    ]);
+    expect(helices.changed).toEqual([
+      { id: 1, fivePrime: [1, 4], threePrime: [8, 11], pairs: 4, significantPairs: 0, kept: 3 },
+    ]);
+  });
+
+  it('reports shared pairs whose significance changed', () => {
+    const rfam = modelOf(RFAM);
+    const cacofold = modelOf(CACOFOLD);
+    pairAt(cacofold, 2, 10).significant = true;
+    pairAt(rfam, 3, 9).significant = true;
+    pairAt(rfam, 4, 8).significant = true;
+    pairAt(cacofold, 4, 8).significant = true;
+    // Only in Rfam, so there is nothing to compare it with
+    pairAt(rfam, 14, 20).significant = true;
+
+    const diff = diffStructureModels(rfam, cacofold);
+    const changes = diff.pairs.map(({ i, j, significanceChange }) => [`${i}-${j}`, significanceChange]);
+    expect(Object.fromEntries(changes)).toMatchObject({
+      '2-10': 'gained',
+      '3-9': 'lost',
+      '4-8': null,
+      '14-20': null,
+    });
+    expect(diff.summary).toMatchObject({ significanceGained: 1, significanceLost: 1 });
+    expect(diff.helices.changed[0].significantPairs).toBe(2);
+    expect(diff.helices.lost[0].significantPairs).toBe(1);
+  });
+
+  it('matches pairs by alignment position rather than index', () => {
+    const rfam = modelOf('((...))');
+    // Drawn without the first alignment position: index 0 is position 2
+    const cacofold = {
+      nucleotides: [2, 3, 4, 5, 6, 7].map((position, index) => ({ index, position })),
+      pairs: [{ i: 0, j: 4, significant: false }, { i: 1, j: 3, significant: false }],
+      helices: [],
+    };
+    const diff = diffStructureModels(rfam, cacofold);
+    expect(diff.pairs.map(({ i, j, status }) => [i, j, status])).toEqual([
+      [1, 7, 'rfam-only'],
+      [2, 6, 'shared'],
+      [3, 5, 'cacofold-only'],
+    ]);
+  });
+});
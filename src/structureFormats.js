@@ -0,0 +1,85 @@
+import { closingBracket } from './dotBracket';
+
+// Text formats for a structure model (see structureModel.js), for feeding
+// Rfam and CaCoFold structures into folding and comparison tools. Positions
+// are written 1-based, as in the alignment.
+
+// After the four bracket types come letter pairs (Aa, Bb, ...), as in
+// ViennaRNA and bpRNA
+const BRACKETS = ['(', '[', '{', '<', ...'ABCDEFGHIJKLMNOPQRSTUVWXYZ'];
+
+const crosses = (a, b) => (a.i < b.i && b.i < a.j && a.j < b.j) || (b.i < a.i && a.i < b.j && b.j < a.j);
+
+// Nested pairs use (); each pseudoknotted layer takes the next bracket type.
+// Throws rather than leave out pairs when even the letters run out.
+export function modelToDotBracket(model) {
+  const characters = new Array(model.nucleotides.length).fill('.');
+  const layers = BRACKETS.map(() => []);
+
+  model.pairs.forEach((pair) => {
+    const layer = layers.findIndex((pairs) => !pairs.some((other) => crosses(pair, other)));
+    if (layer === -1) {
+      const first = model.nucleotides[pair.i].position;
+      const second = model.nucleotides[pair.j].position;
+      throw new Error(`Pair ${first}-${second} crosses more than ${BRACKETS.length} bracket layers and cannot be written as dot-bracket`);
+    }
+    layers[layer].push(pair);
+    characters[pair.i] = BRACKETS[layer];
+    characters[pair.j] = closingBracket(BRACKETS[layer]);
+  });
+
+  return characters.join('');
+}
+
+const sequenceOf = (model) => model.nucleotides.map(({ character }) => character).join('');
+
+const partnerPosition = (model, nucleotide) => (
+  nucleotide.partner === null ? 0 : model.nucleotides[nucleotide.partner].position
+);
+
+const dotBracketFile = (model, title) => `>${title}\n${sequenceOf(model)}\n${modelToDotBracket(model)}\n`;
+
+// Connectivity table: index, base, previous, next, partner, natural numbering
+const ctFile = (model, title) => {
+  const count = model.nucleotides.length;
+  const lines = model.nucleotides.map((nucleotide, index) => [
+    nucleotide.position,
+    nucleotide.character,
+    index === 0 ? 0 : model.nucleotides[index - 1].position,
+    index === count - 1 ? 0 : model.nucleotides[index + 1].position,
+    partnerPosition(model, nucleotide),
+    nucleotide.position,
+  ].join('\t'));
+  return `${count}\t${title}\n${lines.join('\n')}\n`;
+};
+
+const bpseqFile = (model, title) => {
+  const lines = model.nucleotides.map((nucleotide) => (
+    `${nucleotide.position} ${nucleotide.character} ${partnerPosition(model, nucleotide)}`
+  ));
+  return `# ${title}\n${lines.join('\n')}\n`;
+};
+
+const pairsCsvFile = (model) => {
+  const rows = model.pairs.map((pair) => {
+    const first = model.nucleotides[pair.i];
+    const second = model.nucleotides[pair.j];
+    return [first.position, second.position, first.character, second.character, `H${pair.helix}`, pair.significant].join(',');
+  });
+  return `i,j,base_i,base_j,helix,significant\n${rows.join('\n')}\n`;
+};
+
+export const STRUCTURE_FORMATS = {
+  dbn: { label: 'Dot-bracket', extension: 'dbn', mimeType: 'text/plain', write: dotBracketFile },
+  ct: { label: 'CT', extension: 'ct', mimeType: 'text/plain', write: ctFile },
+  bpseq: { label: 'BPSEQ', extension: 'bpseq', mimeType: 'text/plain', write: bpseqFile },
+  csv: { label: 'Base pairs (CSV)', extension: 'csv', mimeType: 'text/csv', write: pairsCsvFile },
+};
+
+export function formatStructureModel(model, format, { title = 'structure' } = {}) {
+  const writer = STRUCTURE_FORMATS[format];
+  if (!writer) {
+    throw new Error(`Unknown structure format: ${format}`);
+  }
+  return writer.write(model, title);
+}
@@ -0,0 +1,117 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { STRUCTURE_FORMATS, formatStructureModel, modelToDotBracket } from './structureFormats';
+import { parseDotBracket } from './dotBracket';
+import { extractStructureModel } from './structureModel';
+import { renderStructureSvg } from './renderStructure';
+
+const modelOf = (sequence, structure) => {
+  const container = document.createElement('div');
+  container.innerHTML = renderStructureSvg(sequence, structure);
+  return extractStructureModel(container.querySelector('svg'));
+};
+
+// n pairs that all cross each other: (1, n+1), (2, n+2), ...
+const crossingModel = (count) => {
+  const nucleotides = Array.from({ length: count * 2 }, (_, index) => ({ index, position: index + 1, character: 'A', partner: null }));
+  const pairs = Array.from({ length: count }, (_, index) => ({ i: index, j: count + index, helix: index + 1, significant: false }));
+  pairs.forEach(({ i, j }) => {
+    nucleotides[i].partner = j;
+    nucleotides[j].partner = i;
+  });
+  return { nucleotides, pairs, helices: [] };
+};
+
+const positionPairs = (model) => model.pairs.map(({ i, j }) => [model.nucleotides[i].position, model.nucleotides[j].position]);
+
+// Pairs from the partner column of a CT or BPSEQ file
+const pairsFromColumns = (rows, partnerColumn) => rows
+  .map((columns) => [Number(columns[0]), Number(columns[partnerColumn])])
+  .filter(([position, partner]) => partner > position);
+
+const SEQUENCE = 'GGGAGCAAAGCUCCCAAAGGAACC';
+const STRUCTURE = '(((.[[...)))...]]..((.))';
+
+describe('modelToDotBracket', () => {
+  it.each([
+    ['nested', 'GGGAAACCC', '(((...)))'],
+    ['pseudoknotted', SEQUENCE, STRUCTURE],
+    ['three crossing layers', 'GGAGGACCAGGACCACC', '((.[[.{{.)).]].}}'],
+  ])('round-trips a %s structure', (_, sequence, structure) => {
+    const model = modelOf(sequence, structure);
+    const written = modelToDotBracket(model);
+    expect(written).toHaveLength(sequence.length);
+    expect(parseDotBracket(written).pairs.map(({ i, j }) => [i + 1, j + 1])).toEqual(positionPairs(model));
+  });
+
+  it('uses brackets, then letter pairs, one layer per set of crossing pairs', () => {
+    expect(modelToDotBracket(crossingModel(6))).toBe('([{<AB)]}>ab');
+  });
+
+  it('writes up to 30 mutually crossing pairs', () => {
+    const written = modelToDotBracket(crossingModel(30));
+    expect(written.slice(0, 30)).toBe('([{<ABCDEFGHIJKLMNOPQRSTUVWXYZ');
+    expect(parseDotBracket(written).pairs).toHaveLength(30);
+  });
+
+  it('throws rather than drop a pair when the letters run out', () => {
+    expect(() => modelToDotBracket(crossingModel(31))).toThrow('Pair 31-62 crosses more than 30 bracket layers and cannot be written as dot-bracket');
+    expect(() => formatStructureModel(crossingModel(31), 'dbn')).toThrow('crosses more than 30 bracket layers');
+  });
+});
+
+describe('formatStructureModel', () => {
+  const model = modelOf(SEQUENCE, STRUCTURE);
+
+  it('writes dot-bracket with a title line', () => {
+    const [title, sequence, structure, end] = formatStructureModel(model, 'dbn', { title: 'RF00001 rscape' }).split('\n');
+    expect(title).toBe('>RF00001 rscape');
+    expect(sequence).toBe(SEQUENCE);
+    expect(parseDotBracket(structure).pairs.map(({ i, j }) => [i + 1, j + 1])).toEqual(positionPairs(model));
+    expect(end).toBe('');
+  });
+
+  it('round-trips pairs through CT', () => {
+    const [header, ...lines] = formatStructureModel(model, 'ct').trim().split('\n');
+    expect(header).toBe(`${SEQUENCE.length}\tstructure`);
+    const rows = lines.map((line) => line.split('\t'));
+    expect(rows.map((columns) => columns[1]).join('')).toBe(SEQUENCE);
+    expect(rows[0]).toEqual(['1', 'G', '0', '2', '12', '1']);
+    expect(rows[rows.length - 1].slice(2, 4)).toEqual([String(SEQUENCE.length - 1), '0']);
+    expect(pairsFromColumns(rows, 4)).toEqual(positionPairs(model));
+  });
+
+  it('round-trips pairs through BPSEQ', () => {
+    const [header, ...lines] = formatStructureModel(model, 'bpseq', { title: 'RF00001' }).trim().split('\n');
+    expect(header).toBe('# RF00001');
+    const rows = lines.map((line) => line.split(' '));
+    expect(rows.map((columns) => columns[1]).join('')).toBe(SEQUENCE);
+    expect(pairsFromColumns(rows, 2)).toEqual(positionPairs(model));
+  });
+
+  it('lists pairs with their helix and significance in CSV', () => {
+    model.pairs[0].significant = true;
+    const [header, ...rows] = formatStructureModel(model, 'csv').trim().split('\n');
+    expect(header).toBe('i,j,base_i,base_j,helix,significant');
+    expect(rows.map((row) => row.split(',').slice(0, 2).map(Number))).toEqual(positionPairs(model));
+    expect(rows[0]).toBe('1,12,G,U,H1,true');
+    expect(rows[1]).toBe('2,11,G,C,H1,false');
+  });
+
+  it('writes alignment positions, not indices', () => {
+    const offset = crossingModel(2);
+    offset.nucleotides.forEach((nucleotide) => { nucleotide.position += 10; });
+    expect(formatStructureModel(offset, 'bpseq')).toBe('# structure\n11 A 13\n12 A 14\n13 A 11\n14 A 12\n');
+    expect(formatStructureModel(offset, 'ct').split('\n')[1]).toBe('11\tA\t0\t12\t13\t11');
+  });
+
+  it('has a writer for every listed format', () => {
+    Object.keys(STRUCTURE_FORMATS).forEach((format) => {
+      expect(typeof formatStructureModel(model, format)).toBe('string');
+    });
+  });
+
+  it('rejects an unknown format', () => {
+    expect(() => formatStructureModel(model, 'fasta')).toThrow('Unknown structure format: fasta');
+  });
+});
@@ -0,0 +1,97 @@
+// Radiate-style layout for nested secondary structures, ported from the
+// "simple" layout in the ViennaRNA package (simple_xy_coordinates). Each loop
+// is drawn as a regular polygon and each helix as a straight ladder.
+
+const HALF_PI = Math.PI / 2;
+
+// Returns an array of { x, y } for positions 0..length-1. `pairs` must be
+// nested ({ i, j } with 0-based positions); pseudoknots are not laid out.
+export function layoutStructure(length, pairs, { spacing = 15 } = {}) {
+  if (length === 0) return [];
+
+  // 1-based partner table, 0 meaning unpaired
+  const partnerTable = new Array(length + 2).fill(0);
+  partnerTable[0] = length;
+  pairs.forEach(({ i, j }) => {
+    partnerTable[i + 1] = j + 1;
+    partnerTable[j + 1] = i + 1;
+  });
+
+  const angles = new Array(length + 5).fill(0);
+
+  const layoutLoop = (start, end) => {
+    const remember = [];
+    const previous = start - 1;
+    let count = 2;
+    let i = start;
+    const stop = end + 1;
+
+    while (i !== stop) {
+      const partner = partnerTable[i];
+
+      if (!partner || i === 0) {
+        i += 1;
+        count += 1;
+        continue;
+      }
+
+      count += 2;
+      let k = i;
+      let l = partner;
+      remember.push(k, l);
+      i = partner + 1;
+
+      const helixStart = k;
+      const helixEnd = l;
+      let ladder = 0;
+      do {
+        k += 1;
+        l -= 1;
+        ladder += 1;
+      } while (partnerTable[k] === l && partnerTable[k] > k);
+
+      // Loop entries and exits bend by an extra right angle; the rest of the ladder stays straight
+      let fill = ladder - 2;
+      if (ladder >= 2) {
+        angles[helixStart + 1 + fill] += HALF_PI;
+        angles[helixEnd - 1 - fill] += HALF_PI;
+        angles[helixStart] += HALF_PI;
+        angles[helixEnd] += HALF_PI;
+        for (; fill >= 1; fill -= 1) {
+          angles[helixStart + fill] = Math.PI;
+          angles[helixEnd - fill] = Math.PI;
+        }
+      }
+
+      if (k <= l) layoutLoop(k, l);
+    }
+
+    // Bending angle of the loop polygon, applied to every backbone step around the loop
+    const polygon = (Math.PI * (count - 2)) / count;
+    remember.push(stop);
+
+    let begin = previous < 0 ? 0 : previous;
+    for (let v = 0; v < remember.length; v += 2) {
+      for (let index = begin; index <= remember[v]; index += 1) {
+        angles[index] += polygon;
+      }
+      if (v + 1 >= remember.length) break;
+      begin = remember[v + 1];
+    }
+  };
+
+  layoutLoop(0, length + 1);
+
+  const coordinates = [{ x: 0, y: 0 }];
+  let alpha = 0;
+  for (let index = 1; index < length; index += 1) {
+    const last = coordinates[index - 1];
+    coordinates.push({
+      x: last.x + spacing * Math.cos(alpha),
+      y: last.y + spacing * Math.sin(alpha),
+    });
+    alpha += Math.PI - angles[index + 1];
+  }
+
+  return coordinates;
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { layoutStructure } from './structureLayout';
+import { parseDotBracket, splitPseudoknots } from './dotBracket';
+
+const layout = (structure, options) => {
+  const { nested } = splitPseudoknots(parseDotBracket(structure).pairs);
+  return { nested, coordinates: layoutStructure(structure.length, nested, options) };
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+describe('layoutStructure', () => {
+  it('returns nothing for an empty structure', () => {
+    expect(layoutStructure(0, [])).toEqual([]);
+  });
+
+  it.each([
+    '((((....))))',
+    '((..((...))..((...))..))',
+    '..(((...)))..(((....)))..',
+    '((..[[..))..]]',
+  ])('spaces %s evenly without overlaps', (structure) => {
+    const { nested, coordinates } = layout(structure, { spacing: 20 });
+    expect(coordinates).toHaveLength(structure.length);
+
+    coordinates.slice(1).forEach((point, index) => {
+      expect(distance(point, coordinates[index])).toBeCloseTo(20);
+    });
+    nested.forEach(({ i, j }) => {
+      expect(distance(coordinates[i], coordinates[j])).toBeCloseTo(20);
+    });
+    coordinates.forEach((point, index) => {
+      coordinates.slice(index + 1).forEach((other) => {
+        expect(distance(point, other)).toBeGreaterThan(20 - 1e-6);
+      });
+    });
+  });
+
+  it('starts at the origin and defaults to a spacing of 15', () => {
+    const { coordinates } = layout('(...)');
+    expect(coordinates[0]).toEqual({ x: 0, y: 0 });
+    expect(distance(coordinates[0], coordinates[1])).toBeCloseTo(15);
+  });
+});
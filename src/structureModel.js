@@ -0,0 +1,299 @@
+import { rscapeColorKey } from './theme';
+
+// Build a structured model of a rendered secondary structure SVG so features
+// (and host apps) can query nucleotides and pairs instead of scraping the DOM.
+//
+// Model shape:
+//   nucleotides: [{ index, position, character, x, y, element, partner, significant, helix }]
+//   pairs:       [{ i, j, element, significant, helix }]   (i < j, 0-based indices)
+//   helices:     [{ id, pairs }]   (runs of stacked pairs, numbered 5' to 3')
+//
+// Client-drawn SVGs carry data-position/data-i/data-j attributes and are read
+// exactly. Server SVGs (R-scape, CaCoFold, R2R plots) are read geometrically:
+// nucleotides are the single-letter text elements in document order, and each
+// pair connector is matched to the two nucleotides closest to its centre.
+
+const NUCLEOTIDE_CHARACTERS = /^[ACGUTRYSWKMBDHVN]$/i;
+// R-scape draws base pair connectors with this stroke width
+const RSCAPE_PAIR_STROKE_WIDTH = '1.44';
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const firstNumber = (value) => parseFloat(String(value || '').trim().split(/[\s,]+/)[0]);
+
+// Centre of an element in the coordinate system of `reference` (the pan/zoom
+// viewport when present, so coordinates do not change while zooming)
+const elementCenter = (element, reference) => {
+  if (typeof element.getBBox === 'function' && typeof element.getCTM === 'function') {
+    try {
+      const box = element.getBBox();
+      const point = element.ownerSVGElement.createSVGPoint();
+      point.x = box.x + box.width / 2;
+      point.y = box.y + box.height / 2;
+      const elementMatrix = element.getCTM();
+      const referenceMatrix = reference.getCTM();
+      if (elementMatrix && referenceMatrix) {
+        const { x, y } = point.matrixTransform(referenceMatrix.inverse().multiply(elementMatrix));
+        return { x, y };
+      }
+      return { x: point.x, y: point.y };
+    } catch (error) {
+      // Not rendered (e.g. display: none); fall back to attributes
+    }
+  }
+
+  // Attribute fallback for environments without layout: ignores transforms
+  const tag = element.localName;
+  if (tag === 'line') {
+    return {
+      x: (firstNumber(element.getAttribute('x1')) + firstNumber(element.getAttribute('x2'))) / 2,
+      y: (firstNumber(element.getAttribute('y1')) + firstNumber(element.getAttribute('y2'))) / 2,
+    };
+  }
+  if (tag === 'circle' || tag === 'ellipse') {
+    return { x: firstNumber(element.getAttribute('cx')), y: firstNumber(element.getAttribute('cy')) };
+  }
+  if (tag === 'path') {
+    const numbers = (element.getAttribute('d') || '').match(/-?\d*\.?\d+(?:e-?\d+)?/gi)?.map(Number) || [];
+    const xs = numbers.filter((_, index) => index % 2 === 0);
+    const ys = numbers.filter((_, index) => index % 2 === 1);
+    if (xs.length === 0 || ys.length === 0) return { x: NaN, y: NaN };
+    return {
+      x: (Math.min(...xs) + Math.max(...xs)) / 2,
+      y: (Math.min(...ys) + Math.max(...ys)) / 2,
+    };
+  }
+
+  // text and tspan: a tspan without x/y sits at its parent text position
+  const x = element.hasAttribute('x') ? element.getAttribute('x') : element.parentElement?.getAttribute('x');
+  const y = element.hasAttribute('y') ? element.getAttribute('y') : element.parentElement?.getAttribute('y');
+  return { x: firstNumber(x), y: firstNumber(y) };
+};
+
+// User annotations drawn over the structure (see annotations.js) are not part of it
+const isAnnotation = (element) => Boolean(element.closest('[data-ss-annotations]'));
+
+const findNucleotideElements = (svgElement) => {
+  const positioned = [...svgElement.querySelectorAll('[data-position]')];
+  if (positioned.length > 0) return positioned;
+
+  return [...svgElement.querySelectorAll('text, tspan')].filter((element) => (
+    element.children.length === 0 && NUCLEOTIDE_CHARACTERS.test(element.textContent.trim()) && !isAnnotation(element)
+  ));
+};
+
+const isSignificant = (element) => rscapeColorKey(element.getAttribute('fill')) === 'significant';
+
+// Elements that may connect two nucleotides in a server-rendered SVG
+const findPairCandidates = (svgElement) => {
+  const candidates = new Set([
+    ...svgElement.querySelectorAll('#pairs *'),
+    ...svgElement.querySelectorAll(`path[stroke-width="${RSCAPE_PAIR_STROKE_WIDTH}"], line[stroke-width="${RSCAPE_PAIR_STROKE_WIDTH}"]`),
+  ]);
+  svgElement.querySelectorAll('path, line, rect, circle').forEach((element) => {
+    if (isSignificant(element)) candidates.add(element);
+  });
+  return [...candidates].filter((element) => (
+    ['path', 'line', 'rect', 'circle', 'ellipse', 'polyline'].includes(element.localName) && !isAnnotation(element)
+  ));
+};
+
+// Grid of nucleotides in square cells, so a lookup only visits the cells
+// around a point rather than every nucleotide (rRNAs have thousands)
+const buildGrid = (nucleotides, cellSize) => {
+  const cells = new Map();
+  const cellOf = (value) => Math.floor(value / cellSize);
+  nucleotides.forEach((nucleotide) => {
+    if (!Number.isFinite(nucleotide.x) || !Number.isFinite(nucleotide.y)) return;
+    const key = `${cellOf(nucleotide.x)},${cellOf(nucleotide.y)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(nucleotide);
+  });
+
+  // The two nucleotides nearest to a point, among those within cellSize of it
+  const nearestTwo = ({ x, y }) => {
+    let first = null;
+    let second = null;
+    for (let cellX = cellOf(x) - 1; cellX <= cellOf(x) + 1; cellX++) {
+      for (let cellY = cellOf(y) - 1; cellY <= cellOf(y) + 1; cellY++) {
+        (cells.get(`${cellX},${cellY}`) || []).forEach((nucleotide) => {
+          const candidate = { nucleotide, d: distance({ x, y }, nucleotide) };
+          // Ties go to the earlier nucleotide, whichever cell it is in
+          const closer = (other) => !other || candidate.d < other.d
+            || (candidate.d === other.d && nucleotide.index < other.nucleotide.index);
+          if (closer(first)) {
+            second = first;
+            first = candidate;
+          } else if (closer(second)) {
+            second = candidate;
+          }
+        });
+      }
+    }
+    return [first, second];
+  };
+
+  return { nearestTwo };
+};
+
+// Match each connector to the two nearest nucleotides that are not backbone
+// neighbours and sit at a similar distance on either side of it
+const matchPairs = (candidates, nucleotides, reference) => {
+  const spacing = median(nucleotides.slice(1).map((nucleotide, index) => distance(nucleotide, nucleotides[index]))) || 10;
+  const matches = new Map();
+  // Matches need both nucleotides within two spacings, so nothing further
+  // away is looked at
+  const grid = buildGrid(nucleotides, spacing * 2);
+
+  candidates.forEach((element) => {
+    const center = elementCenter(element, reference);
+    if (Number.isNaN(center.x) || Number.isNaN(center.y)) return;
+
+    const [first, second] = grid.nearestTwo(center);
+    if (!second) return;
+
+    const i = Math.min(first.nucleotide.index, second.nucleotide.index);
+    const j = Math.max(first.nucleotide.index, second.nucleotide.index);
+    if (j - i < 2) return;
+    if (second.d > spacing * 2 || second.d > first.d * 1.6 + spacing * 0.1) return;
+
+    const key = `${i}-${j}`;
+    const existing = matches.get(key);
+    const significant = isSignificant(element) || Boolean(existing?.significant);
+    // Prefer the connector proper over the significance highlight as the pair's element
+    const preferred = existing && !isSignificant(existing.element) ? existing.element : element;
+    matches.set(key, { i, j, element: preferred, significant, score: first.d + second.d });
+  });
+
+  // A nucleotide pairs at most once; keep the tightest match
+  const used = new Set();
+  return [...matches.values()]
+    .sort((a, b) => a.score - b.score)
+    .filter(({ i, j }) => {
+      if (used.has(i) || used.has(j)) return false;
+      used.add(i);
+      used.add(j);
+      return true;
+    })
+    .map(({ i, j, element, significant }) => ({ i, j, element, significant }))
+    .sort((a, b) => a.i - b.i);
+};
+
+const readAnnotatedPairs = (svgElement, nucleotides) => {
+  const byPosition = new Map(nucleotides.map((nucleotide) => [nucleotide.position, nucleotide]));
+  return [...svgElement.querySelectorAll('[data-i][data-j]')]
+    .map((element) => {
+      const first = byPosition.get(Number(element.getAttribute('data-i')));
+      const second = byPosition.get(Number(element.getAttribute('data-j')));
+      if (!first || !second) return null;
+      return { i: first.index, j: second.index, element, significant: isSignificant(element) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.i - b.i);
+};
+
+// Group pairs into helices: (i, j) continues the helix of (i - 1, j + 1)
+const assignHelices = (nucleotides, pairs) => {
+  const helices = [];
+  pairs.forEach((pair) => {
+    const previous = pair.i > 0 ? nucleotides[pair.i - 1] : null;
+    const stacked = previous && previous.partner === pair.j + 1 && previous.helix !== null;
+    const helix = stacked ? helices[previous.helix - 1] : { id: helices.length + 1, pairs: [] };
+    if (!stacked) helices.push(helix);
+
+    helix.pairs.push(pair);
+    pair.helix = helix.id;
+    nucleotides[pair.i].helix = helix.id;
+    nucleotides[pair.j].helix = helix.id;
+  });
+  return helices;
+};
+
+export function extractStructureModel(svgElement, { type = null } = {}) {
+  if (!svgElement) return null;
+
+  const reference = svgElement.querySelector('.svg-pan-zoom_viewport') || svgElement;
+  const nucleotides = findNucleotideElements(svgElement).map((element, index) => {
+    const { x, y } = elementCenter(element, reference);
+    const position = Number(element.getAttribute('data-position')) || index + 1;
+    return {
+      index,
+      position,
+      character: element.textContent.trim(),
+      x,
+      y,
+      element,
+      partner: null,
+      significant: false,
+      helix: null,
+    };
+  });
+
+  const annotated = svgElement.querySelector('[data-i][data-j]');
+  const pairs = annotated
+    ? readAnnotatedPairs(svgElement, nucleotides)
+    : matchPairs(findPairCandidates(svgElement), nucleotides, reference);
+
+  pairs.forEach(({ i, j, significant }) => {
+    nucleotides[i].partner = j;
+    nucleotides[j].partner = i;
+    nucleotides[i].significant = significant;
+    nucleotides[j].significant = significant;
+  });
+
+  const helices = assignHelices(nucleotides, pairs);
+
+  return { type, nucleotides, pairs, helices };
+}
+
+const residueLabel = (nucleotide) => `${nucleotide.position} (${nucleotide.character})`;
+
+// Tooltip text for a nucleotide: position, partner and helix
+export function describeNucleotide(model, nucleotide) {
+  const label = `Position ${residueLabel(nucleotide)}`;
+  if (nucleotide.partner === null) return `${label}, unpaired`;
+
+  const partner = model.nucleotides[nucleotide.partner];
+  return `${label}, pairs with ${residueLabel(partner)}, helix H${nucleotide.helix}`;
+}
+
+export function describePair(model, pair) {
+  const first = model.nucleotides[pair.i];
+  const second = model.nucleotides[pair.j];
+  return `Base pair ${first.position}-${second.position} (${first.character}:${second.character}), helix H${pair.helix}`;
+}
+
+// 5' and 3' strand ranges of a helix as 1-based positions
+export function helixSpan(model, helix) {
+  const first = helix.pairs[0];
+  const last = helix.pairs[helix.pairs.length - 1];
+  return {
+    fivePrime: [model.nucleotides[first.i].position, model.nucleotides[last.i].position],
+    threePrime: [model.nucleotides[last.j].position, model.nucleotides[first.j].position],
+  };
+}
+
+// Text alternative for the whole structure, for screen readers
+export function summarizeStructure(model) {
+  const count = model.nucleotides.length;
+  if (count === 0) return 'No nucleotides could be read from this structure.';
+
+  const plural = (n, word, words = `${word}s`) => `${n} ${n === 1 ? word : words}`;
+  const helices = model.helices.map((helix) => {
+    const { fivePrime, threePrime } = helixSpan(model, helix);
+    return `H${helix.id} pairs ${fivePrime[0]}-${fivePrime[1]} with ${threePrime[0]}-${threePrime[1]}`;
+  });
+  const significant = model.pairs.filter((pair) => pair.significant).length;
+
+  let summary = `${plural(count, 'nucleotide')} with ${plural(model.pairs.length, 'base pair')} in ${plural(helices.length, 'helix', 'helices')}`;
+  if (helices.length > 0) summary += `: ${helices.join('; ')}`;
+  summary += '.';
+  if (significant > 0) summary += ` ${plural(significant, 'pair')} significantly covary.`;
+  return summary;
+}
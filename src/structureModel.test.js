@@ -0,0 +1,181 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import { describePair, describeNucleotide, extractStructureModel, helixSpan, summarizeStructure } from './structureModel';
+import { renderStructureSvg } from './renderStructure';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const mount = (markup) => {
+  const container = document.createElement('div');
+  container.innerHTML = markup;
+  return container.querySelector('svg');
+};
+
+// Server-style SVG: bare text nucleotides in 5' to 3' order and unannotated
+// connector lines, as in the R-scape and R2R plots
+const serverSvg = (nucleotides, connectors, { connectorAttributes = '' } = {}) => mount(
+  `<svg xmlns="${SVG_NS}">`
+  + nucleotides.map(({ x, y, character = 'G' }) => `<text x="${x}" y="${y}">${character}</text>`).join('')
+  + `<g id="pairs">${connectors.map(({ x1, y1, x2, y2 }) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" ${connectorAttributes}/>`).join('')}</g>`
+  + '</svg>'
+);
+
+// Hairpins side by side, 10 units between neighbours: the 5' strand runs down
+// at x = left, three loop nucleotides, then the 3' strand back up at x = left + 20.
+// A connector sits between each pair, 10 units from both nucleotides.
+const hairpins = ({ count = 1, stemLength = 4, offset = { x: 0, y: 0 } } = {}) => {
+  const nucleotides = [];
+  const connectors = [];
+  const expected = [];
+  for (let hairpin = 0; hairpin < count; hairpin += 1) {
+    const left = offset.x + hairpin * 60;
+    const top = offset.y;
+    const first = nucleotides.length;
+    for (let k = 0; k < stemLength; k += 1) nucleotides.push({ x: left, y: top + k * 10 });
+    nucleotides.push(
+      { x: left, y: top + stemLength * 10 },
+      { x: left + 10, y: top + stemLength * 10 + 8 },
+      { x: left + 20, y: top + stemLength * 10 }
+    );
+    for (let k = stemLength - 1; k >= 0; k -= 1) nucleotides.push({ x: left + 20, y: top + k * 10 });
+    for (let k = 0; k < stemLength; k += 1) {
+      connectors.push({ x1: left + 3, y1: top + k * 10, x2: left + 17, y2: top + k * 10 });
+      expected.push([first + k, first + 2 * stemLength + 2 - k]);
+    }
+  }
+  return { nucleotides, connectors, expected };
+};
+
+const pairList = (model) => model.pairs.map(({ i, j }) => [i, j]);
+
+describe('extractStructureModel', () => {
+  it('returns null without an SVG', () => {
+    expect(extractStructureModel(null)).toBeNull();
+  });
+
+  describe('client-drawn SVGs', () => {
+    const svg = mount(renderStructureSvg('GGGAAACCCAGGAAACC', '(((...))).((...))'));
+
+    it('reads positions and pairs from their data attributes', () => {
+      const model = extractStructureModel(svg, { type: 'cons' });
+      expect(model.type).toBe('cons');
+      expect(model.nucleotides.map(({ character }) => character).join('')).toBe('GGGAAACCCAGGAAACC');
+      expect(model.nucleotides[16].position).toBe(17);
+      expect(pairList(model)).toEqual([[0, 8], [1, 7], [2, 6], [10, 16], [11, 15]]);
+      expect(model.nucleotides[0].partner).toBe(8);
+      expect(model.nucleotides[3].partner).toBeNull();
+    });
+
+    it('groups stacked pairs into helices numbered 5\' to 3\'', () => {
+      const model = extractStructureModel(svg);
+      expect(model.helices.map(({ id, pairs }) => [id, pairs.length])).toEqual([[1, 3], [2, 2]]);
+      expect(helixSpan(model, model.helices[0])).toEqual({ fivePrime: [1, 3], threePrime: [7, 9] });
+      expect(model.nucleotides[11].helix).toBe(2);
+      expect(model.nucleotides[9].helix).toBeNull();
+    });
+
+    it('describes nucleotides, pairs and the whole structure', () => {
+      const model = extractStructureModel(svg);
+      expect(describeNucleotide(model, model.nucleotides[0])).toBe('Position 1 (G), pairs with 9 (C), helix H1');
+      expect(describeNucleotide(model, model.nucleotides[3])).toBe('Position 4 (A), unpaired');
+      expect(describePair(model, model.pairs[3])).toBe('Base pair 11-17 (G:C), helix H2');
+      expect(summarizeStructure(model)).toBe('17 nucleotides with 5 base pairs in 2 helices: H1 pairs 1-3 with 7-9; H2 pairs 11-12 with 16-17.');
+    });
+  });
+
+  describe('server SVGs', () => {
+    it('matches each connector to the nucleotides on either side', () => {
+      const { nucleotides, connectors, expected } = hairpins();
+      expect(pairList(extractStructureModel(serverSvg(nucleotides, connectors)))).toEqual(expected);
+    });
+
+    it('finds R-scape connectors by their stroke width outside a pairs group', () => {
+      const { nucleotides, connectors, expected } = hairpins();
+      const svg = mount(
+        `<svg xmlns="${SVG_NS}">`
+        + nucleotides.map(({ x, y }) => `<text x="${x}" y="${y}">A</text>`).join('')
+        + connectors.map(({ x1, y1, x2, y2 }) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke-width="1.44"/>`).join('')
+        + '</svg>'
+      );
+      expect(pairList(extractStructureModel(svg))).toEqual(expected);
+    });
+
+    it.each([
+      [{ x: 0, y: 0 }],
+      [{ x: -1234.5, y: 987.25 }],
+      [{ x: 19.99, y: -0.01 }],
+      [{ x: 40, y: 40 }],
+    ])('finds the same pairs wherever the structure sits (offset %o)', (offset) => {
+      const { nucleotides, connectors, expected } = hairpins({ count: 3, offset });
+      expect(pairList(extractStructureModel(serverSvg(nucleotides, connectors)))).toEqual(expected);
+    });
+
+    it('matches every connector of a large structure', () => {
+      const { nucleotides, connectors, expected } = hairpins({ count: 200, stemLength: 6 });
+      const model = extractStructureModel(serverSvg(nucleotides, connectors));
+      expect(model.nucleotides).toHaveLength(3000);
+      expect(pairList(model)).toEqual(expected);
+    });
+
+    it('ignores connectors away from any nucleotide pair', () => {
+      const { nucleotides } = hairpins();
+      const model = extractStructureModel(serverSvg(nucleotides, [
+        { x1: 200, y1: 200, x2: 210, y2: 200 },
+        { x1: 35, y1: 10, x2: 45, y2: 10 },
+      ]));
+      expect(model.pairs).toEqual([]);
+    });
+
+    it('does not pair backbone neighbours', () => {
+      const { nucleotides } = hairpins();
+      // Between positions 1 and 2 of the 5' strand
+      const model = extractStructureModel(serverSvg(nucleotides, [{ x1: 0, y1: 3, x2: 0, y2: 7 }]));
+      expect(model.pairs).toEqual([]);
+    });
+
+    it('breaks ties by position, whichever side of the structure they are on', () => {
+      // The connector at (20, 0) is 10 units from nucleotides 4, 5 and 6; the
+      // nearest two are then 4 and 5, which are neighbours, so nothing pairs
+      const nucleotides = [
+        { x: 30, y: -30 }, { x: 30, y: -20 }, { x: 30, y: -10 }, { x: 30, y: 0 },
+        { x: 20, y: 10 },
+        { x: 10, y: 0 }, { x: 10, y: -10 }, { x: 10, y: -20 }, { x: 10, y: -30 },
+      ];
+      const model = extractStructureModel(serverSvg(nucleotides, [{ x1: 13, y1: 0, x2: 27, y2: 0 }]));
+      expect(model.pairs).toEqual([]);
+    });
+
+    it('keeps the tightest match when two connectors claim a nucleotide', () => {
+      const nucleotides = [
+        { x: 0, y: 0 }, { x: 0, y: 10 }, { x: 0, y: 20 },
+        { x: 10, y: 30 },
+        { x: 20, y: 24 }, { x: 20, y: 14 }, { x: 20, y: 4 },
+      ];
+      // Centred at (10, 0) for 1-7, (10, 9) for 2-6 and, looser than both, (10, 7) for 2-7
+      const model = extractStructureModel(serverSvg(nucleotides, [
+        { x1: 3, y1: 0, x2: 17, y2: 0 },
+        { x1: 3, y1: 7, x2: 17, y2: 7 },
+        { x1: 3, y1: 9, x2: 17, y2: 9 },
+      ]));
+      expect(pairList(model)).toEqual([[0, 6], [1, 5]]);
+    });
+
+    it('skips text without coordinates', () => {
+      const { nucleotides, connectors, expected } = hairpins();
+      const svg = serverSvg(nucleotides, connectors);
+      svg.insertAdjacentHTML('beforeend', '<text>A</text>');
+      const model = extractStructureModel(svg);
+      expect(model.nucleotides).toHaveLength(nucleotides.length + 1);
+      expect(pairList(model)).toEqual(expected);
+    });
+
+    it('marks pairs drawn in the significant covariation colour', () => {
+      const { nucleotides, connectors } = hairpins({ stemLength: 2 });
+      const svg = serverSvg(nucleotides, connectors);
+      svg.querySelector('#pairs line').setAttribute('fill', '#31a354');
+      const model = extractStructureModel(svg);
+      expect(model.pairs.map(({ significant }) => significant)).toEqual([true, false]);
+      expect(summarizeStructure(model)).toContain('1 pair significantly covary.');
+    });
+  });
+});
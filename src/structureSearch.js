@@ -0,0 +1,89 @@
+// Search a structure model by alignment position, position range or
+// nucleotide motif. Motifs use the IUPAC codes, which also appear in Rfam
+// consensus sequences: a query letter matches a nucleotide when every base
+// the nucleotide may stand for is allowed by the query (R matches A, G and
+// R; G does not match R). T and U are interchangeable.
+
+export const IUPAC_CODES = {
+  A: 'A',
+  C: 'C',
+  G: 'G',
+  U: 'U',
+  R: 'AG',
+  Y: 'CU',
+  S: 'CG',
+  W: 'AU',
+  K: 'GU',
+  M: 'AC',
+  B: 'CGU',
+  D: 'AGU',
+  H: 'ACU',
+  V: 'ACG',
+  N: 'ACGU',
+};
+
+const POSITION_QUERY = /^(\d+)$/;
+const RANGE_QUERY = /^(\d+)\s*(?:-|\.\.|–)\s*(\d+)$/;
+const MOTIF_QUERY = /^[ACGUTRYSWKMBDHVN]+$/i;
+
+export const SEARCH_HINT = 'Enter a position (42), a range (10-20) or a motif (GNRA)';
+
+const basesOf = (character) => IUPAC_CODES[character.toUpperCase().replace('T', 'U')] || '';
+
+const residueMatches = (queryCode, character) => {
+  const allowed = basesOf(queryCode);
+  const bases = basesOf(character);
+  return bases.length > 0 && [...bases].every((base) => allowed.includes(base));
+};
+
+// { kind: 'range', start, end } or { kind: 'motif', motif }; null for text
+// that is neither
+export function parseStructureQuery(text) {
+  const query = (text || '').trim();
+  if (!query) return null;
+
+  const position = query.match(POSITION_QUERY);
+  if (position) return { kind: 'range', start: Number(position[1]), end: Number(position[1]) };
+
+  const range = query.match(RANGE_QUERY);
+  if (range) {
+    const [start, end] = [Number(range[1]), Number(range[2])].sort((a, b) => a - b);
+    return { kind: 'range', start, end };
+  }
+
+  const motif = query.replace(/\s+/g, '');
+  if (MOTIF_QUERY.test(motif)) return { kind: 'motif', motif: motif.toUpperCase() };
+  return null;
+}
+
+// Hits of a parsed query as lists of nucleotide indices, 5' to 3'. A range
+// is a single hit; motif hits may overlap.
+export function findStructureMatches(model, query) {
+  const nucleotides = model?.nucleotides || [];
+  if (!query || nucleotides.length === 0) return [];
+
+  if (query.kind === 'range') {
+    const indices = nucleotides
+      .filter(({ position }) => position >= query.start && position <= query.end)
+      .map(({ index }) => index);
+    return indices.length > 0 ? [indices] : [];
+  }
+
+  const { motif } = query;
+  const hits = [];
+  for (let start = 0; start + motif.length <= nucleotides.length; start++) {
+    let matches = true;
+    for (let offset = 0; offset < motif.length && matches; offset++) {
+      matches = residueMatches(motif[offset], nucleotides[start + offset].character);
+    }
+    if (matches) hits.push(Array.from({ length: motif.length }, (_, offset) => start + offset));
+  }
+  return hits;
+}
+
+// "position 42" or "positions 10-20" for announcements
+export function describeStructureMatch(model, indices) {
+  const first = model.nucleotides[indices[0]].position;
+  const last = model.nucleotides[indices[indices.length - 1]].position;
+  return first === last ? `position ${first}` : `positions ${first}-${last}`;
+}
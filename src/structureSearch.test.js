@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { describeStructureMatch, findStructureMatches, parseStructureQuery } from './structureSearch';
+
+// Positions start at 10, as in a structure drawn from part of an alignment
+const modelOf = (sequence) => ({
+  nucleotides: [...sequence].map((character, index) => ({ index, position: index + 10, character })),
+});
+
+describe('parseStructureQuery', () => {
+  it.each([
+    ['42', { kind: 'range', start: 42, end: 42 }],
+    [' 42 ', { kind: 'range', start: 42, end: 42 }],
+    ['10-20', { kind: 'range', start: 10, end: 20 }],
+    ['10 .. 20', { kind: 'range', start: 10, end: 20 }],
+    ['10–20', { kind: 'range', start: 10, end: 20 }],
+    ['20-10', { kind: 'range', start: 10, end: 20 }],
+    ['gnra', { kind: 'motif', motif: 'GNRA' }],
+    ['GG A', { kind: 'motif', motif: 'GGA' }],
+    ['ACGT', { kind: 'motif', motif: 'ACGT' }],
+  ])('reads %j', (text, expected) => {
+    expect(parseStructureQuery(text)).toEqual(expected);
+  });
+
+  it.each(['', '   ', null, undefined, 'GNRX', '10-', '-5', '1.5', 'A-C'])('rejects %j', (text) => {
+    expect(parseStructureQuery(text)).toBeNull();
+  });
+});
+
+describe('findStructureMatches', () => {
+  const model = modelOf('GGAAACUUCGCC');
+
+  it('finds a position or range by alignment position', () => {
+    expect(findStructureMatches(model, parseStructureQuery('12'))).toEqual([[2]]);
+    expect(findStructureMatches(model, parseStructureQuery('19-30'))).toEqual([[9, 10, 11]]);
+  });
+
+  it('finds nothing outside the structure', () => {
+    expect(findStructureMatches(model, parseStructureQuery('1-9'))).toEqual([]);
+    expect(findStructureMatches(model, parseStructureQuery('22'))).toEqual([]);
+  });
+
+  it('finds every occurrence of a motif, overlapping ones included', () => {
+    expect(findStructureMatches(model, parseStructureQuery('AA'))).toEqual([[2, 3], [3, 4]]);
+  });
+
+  it('matches IUPAC codes against the bases they stand for', () => {
+    expect(findStructureMatches(model, parseStructureQuery('UNCG'))).toEqual([[6, 7, 8, 9]]);
+    expect(findStructureMatches(model, parseStructureQuery('RRA'))).toEqual([[0, 1, 2], [1, 2, 3], [2, 3, 4]]);
+    expect(findStructureMatches(model, parseStructureQuery('YYCG'))).toEqual([[6, 7, 8, 9]]);
+  });
+
+  it('reads T as U in both the query and the structure', () => {
+    expect(findStructureMatches(model, parseStructureQuery('CTTC'))).toEqual([[5, 6, 7, 8]]);
+    expect(findStructureMatches(modelOf('ATG'), parseStructureQuery('AUG'))).toEqual([[0, 1, 2]]);
+  });
+
+  it('matches an ambiguous nucleotide only when the query allows all it stands for', () => {
+    const ambiguous = modelOf('GRA');
+    expect(findStructureMatches(ambiguous, parseStructureQuery('GRA'))).toEqual([[0, 1, 2]]);
+    expect(findStructureMatches(ambiguous, parseStructureQuery('GNA'))).toEqual([[0, 1, 2]]);
+    expect(findStructureMatches(ambiguous, parseStructureQuery('GGA'))).toEqual([]);
+  });
+
+  it('finds nothing without a query, a model or room for the motif', () => {
+    expect(findStructureMatches(model, null)).toEqual([]);
+    expect(findStructureMatches(null, parseStructureQuery('GG'))).toEqual([]);
+    expect(findStructureMatches(modelOf('GG'), parseStructureQuery('GGA'))).toEqual([]);
+  });
+});
+
+describe('describeStructureMatch', () => {
+  const model = modelOf('GGAAAC');
+
+  it('names one position or a range', () => {
+    expect(describeStructureMatch(model, [2])).toBe('position 12');
+    expect(describeStructureMatch(model, [2, 3, 4])).toBe('positions 12-14');
+  });
+});
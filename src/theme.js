@@ -0,0 +1,104 @@
+// Themes and colour palettes. Themes only switch CSS custom properties (see
+// the top of SecondaryStructures.css); palettes also rewrite the fills inside
+// loaded R-scape SVGs, whose colours carry meaning.
+
+export const THEMES = ['light', 'dark', 'auto'];
+
+// Fills used by R-scape, keyed by what they mean
+export const RSCAPE_COLORS = {
+  significant: '#31a354',
+  conserved97: '#d90000',
+  conserved90: '#000000',
+  conserved75: '#807b88',
+  conserved50: '#ffffff',
+};
+
+// The colour-blind palette swaps the red/green pair for the Okabe-Ito blue
+// and vermillion, which stay distinct under the common colour-vision
+// deficiencies. The black/grey/white steps already differ in lightness.
+export const PALETTES = {
+  default: RSCAPE_COLORS,
+  colorblind: {
+    ...RSCAPE_COLORS,
+    significant: '#0072b2',
+    conserved97: '#d55e00',
+  },
+};
+
+// Legend swatch class -> palette key
+const SWATCH_KEYS = {
+  'significant-basepair': 'significant',
+  'conserved-97': 'conserved97',
+  'conserved-90': 'conserved90',
+  'conserved-75': 'conserved75',
+  'conserved-50': 'conserved50',
+};
+
+const paletteColors = (palette) => PALETTES[palette] || PALETTES.default;
+
+const keyIn = (colors, fill) => {
+  const value = fill?.trim().toLowerCase();
+  return Object.keys(colors).find((key) => colors[key] === value) || null;
+};
+
+// What an R-scape fill means ('significant', 'conserved97', ...), whichever
+// palette it was drawn in; null for other colours
+export function rscapeColorKey(fill) {
+  for (const colors of Object.values(PALETTES)) {
+    const key = keyIn(colors, fill);
+    if (key) return key;
+  }
+  return null;
+}
+
+// Recolour a mounted R-scape SVG in place. The palette it is currently drawn
+// in is kept on the element, so switching back and forth never confuses two
+// meanings that share a colour across palettes.
+export function remapSvgColors(svgElement, palette) {
+  if (!svgElement) return;
+  const from = paletteColors(svgElement.dataset.ssPalette);
+  const to = paletteColors(palette);
+  if (from !== to) {
+    svgElement.querySelectorAll('[fill]').forEach((element) => {
+      const key = keyIn(from, element.getAttribute('fill'));
+      if (key) element.setAttribute('fill', to[key]);
+    });
+  }
+  svgElement.dataset.ssPalette = palette in PALETTES ? palette : 'default';
+}
+
+// The same for SVG markup drawn in the default palette (exports)
+export function remapSvgMarkup(markup, palette) {
+  const to = paletteColors(palette);
+  if (to === PALETTES.default || !markup) return markup;
+  return markup.replace(/(\sfill=)(["'])([^"']*)\2/gi, (match, name, quote, value) => {
+    const key = keyIn(PALETTES.default, value);
+    return key ? `${name}${quote}${to[key]}${quote}` : match;
+  });
+}
+
+// Legend sections with swatch colours for the palette, for exported figures
+export function paletteLegendSections(sections, palette) {
+  const to = paletteColors(palette);
+  if (!sections || to === PALETTES.default) return sections;
+  return sections.map((section) => ({
+    ...section,
+    items: section.items.map((item) => (
+      SWATCH_KEYS[item.swatch] ? { ...item, color: to[SWATCH_KEYS[item.swatch]] } : item
+    )),
+  }));
+}
+
+// className and style for a component root. `variables` overrides the
+// theme's custom properties: { accent: '#005f73' } sets --ss-accent.
+export function themeRootProps({ className, theme = 'light', palette = 'default', variables }) {
+  const classes = [className];
+  if (theme !== 'light') classes.push(`ss-theme-${theme}`);
+  if (palette !== 'default') classes.push(`ss-palette-${palette}`);
+
+  const style = variables
+    ? Object.fromEntries(Object.entries(variables).map(([name, value]) => [`--ss-${name.replace(/^--ss-/, '')}`, value]))
+    : undefined;
+
+  return { className: classes.join(' '), style };
+}
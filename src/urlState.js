@@ -0,0 +1,125 @@
+// Deep links: the visible state of a viewer kept in the page URL, in the hash
+// or the query string, under one parameter per viewer so several embeds can
+// share a page:
+//
+//   #RF00005=t:rscape;m:1.5,10,-20;c:1.5,10,-20;l:2;p:3-7,12;h:m4
+//
+// t is the image type, m and c the zoom and pan of the main and CaCoFold
+// panels, l the layer toggle state, p the highlighted positions and h the
+// selected helix (panel code and helix id).
+
+const PANEL_CODES = { main: 'm', cacofold: 'c' };
+const CODE_PANELS = { m: 'main', c: 'cacofold' };
+
+// Guards against links that expand to huge ranges
+const MAX_POSITIONS = 10000;
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+// [1, 2, 3, 5] -> '1-3,5'
+const compressPositions = (positions) => {
+  const sorted = [...new Set(positions)].sort((a, b) => a - b);
+  const ranges = [];
+  sorted.forEach((position) => {
+    const last = ranges[ranges.length - 1];
+    if (last && position === last[1] + 1) last[1] = position;
+    else ranges.push([position, position]);
+  });
+  return ranges.map(([start, end]) => (start === end ? `${start}` : `${start}-${end}`)).join(',');
+};
+
+const expandPositions = (text) => {
+  const positions = [];
+  text.split(',').forEach((range) => {
+    const [start, end = start] = range.split('-').map(Number);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1) return;
+    for (let position = start; position <= end && positions.length < MAX_POSITIONS; position++) {
+      positions.push(position);
+    }
+  });
+  return positions;
+};
+
+export function encodeViewState(state) {
+  const fields = [];
+  if (state.type) fields.push(`t:${state.type}`);
+  Object.entries(PANEL_CODES).forEach(([panel, code]) => {
+    const view = state.views?.[panel];
+    if (view) fields.push(`${code}:${round(view.zoom, 3)},${round(view.x, 1)},${round(view.y, 1)}`);
+  });
+  if (state.layers && state.layers !== 1) fields.push(`l:${state.layers}`);
+  if (state.positions?.length) fields.push(`p:${compressPositions(state.positions)}`);
+  if (state.helix) fields.push(`h:${PANEL_CODES[state.helix.panel]}${state.helix.id}`);
+  return fields.join(';');
+}
+
+// Unknown or malformed fields are skipped, so old or hand-edited links still
+// restore what they can
+export function decodeViewState(text) {
+  const state = { type: null, views: {}, layers: 1, positions: [], helix: null };
+
+  text.split(';').forEach((field) => {
+    const separator = field.indexOf(':');
+    if (separator < 1) return;
+    const name = field.slice(0, separator);
+    const value = field.slice(separator + 1);
+
+    if (name === 't') {
+      state.type = value;
+    } else if (CODE_PANELS[name]) {
+      const [zoom, x, y] = value.split(',').map(Number);
+      if ([zoom, x, y].every(Number.isFinite) && zoom > 0) state.views[CODE_PANELS[name]] = { zoom, x, y };
+    } else if (name === 'l') {
+      const layers = Number(value);
+      if ([1, 2, 3].includes(layers)) state.layers = layers;
+    } else if (name === 'p') {
+      state.positions = expandPositions(value);
+    } else if (name === 'h') {
+      const panel = CODE_PANELS[value[0]];
+      const id = Number(value.slice(1));
+      if (panel && Number.isInteger(id) && id > 0) state.helix = { panel, id };
+    }
+  });
+
+  return state;
+}
+
+// Raw '&'-separated entries of the hash or query string. Entries that are not
+// ours (including plain anchors) are passed through untouched.
+const readEntries = (mode) => {
+  const raw = mode === 'query' ? window.location.search : window.location.hash;
+  return raw.replace(/^[?#]/, '').split('&').filter(Boolean);
+};
+
+// ':', ';' and ',' are valid in both the query and the fragment; leaving them
+// unescaped keeps links readable
+const escapeValue = (value) => encodeURIComponent(value).replace(/%3A/g, ':').replace(/%3B/g, ';').replace(/%2C/g, ',');
+
+// The state stored under `key`, or null when the URL has none
+export function readUrlState(mode, key) {
+  const prefix = `${encodeURIComponent(key)}=`;
+  const entry = readEntries(mode).find((candidate) => candidate.startsWith(prefix));
+  if (!entry) return null;
+  try {
+    return decodeViewState(decodeURIComponent(entry.slice(prefix.length)));
+  } catch (error) {
+    // Malformed percent-encoding
+    return null;
+  }
+}
+
+// Store the state under `key`, adding a history entry when `push` is set.
+// The history state object is kept, so client-side routers are unaffected.
+export function writeUrlState(mode, key, state, { push = false } = {}) {
+  const name = encodeURIComponent(key);
+  const entries = readEntries(mode).filter((entry) => entry.split('=')[0] !== name);
+  const encoded = encodeViewState(state);
+  if (encoded) entries.push(`${name}=${escapeValue(encoded)}`);
+
+  const url = new URL(window.location.href);
+  if (mode === 'query') url.search = entries.join('&');
+  else url.hash = entries.join('&');
+  if (url.href === window.location.href) return;
+
+  window.history[push ? 'pushState' : 'replaceState'](window.history.state, '', url.href);
+}
@@ -0,0 +1,102 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach } from 'vitest';
+import { decodeViewState, encodeViewState, readUrlState, writeUrlState } from './urlState';
+
+const STATE = {
+  type: 'rscape',
+  views: { main: { zoom: 1.5, x: 10, y: -20 }, cacofold: { zoom: 2, x: 0, y: 5.5 } },
+  layers: 2,
+  positions: [12, 3, 4, 5, 6, 7],
+  helix: { panel: 'main', id: 4 },
+};
+
+const EMPTY = { type: null, views: {}, layers: 1, positions: [], helix: null };
+
+describe('encodeViewState', () => {
+  it('writes each field in a compact form', () => {
+    expect(encodeViewState(STATE)).toBe('t:rscape;m:1.5,10,-20;c:2,0,5.5;l:2;p:3-7,12;h:m4');
+  });
+
+  it('rounds zoom and pan', () => {
+    expect(encodeViewState({ views: { main: { zoom: 1.23456, x: 10.04, y: -0.06 } } })).toBe('m:1.235,10,-0.1');
+  });
+
+  it('leaves out defaults and empty fields', () => {
+    expect(encodeViewState({ type: 'cons', layers: 1, positions: [], views: {}, helix: null })).toBe('t:cons');
+    expect(encodeViewState({})).toBe('');
+  });
+});
+
+describe('decodeViewState', () => {
+  it('reads back what was encoded', () => {
+    expect(decodeViewState(encodeViewState(STATE))).toEqual({ ...STATE, positions: [3, 4, 5, 6, 7, 12] });
+  });
+
+  it('skips unknown and malformed fields', () => {
+    expect(decodeViewState('x:1;m:0,1,2;c:1,a,2;l:7;h:z3;h:m0;junk;:5')).toEqual(EMPTY);
+    expect(decodeViewState('t:norm;future:1;l:3')).toEqual({ ...EMPTY, type: 'norm', layers: 3 });
+  });
+
+  it('ignores position ranges that make no sense', () => {
+    expect(decodeViewState('p:0,2-3,x,5-4,8').positions).toEqual([2, 3, 8]);
+  });
+
+  it('caps how many positions a link expands to', () => {
+    expect(decodeViewState('p:1-1000000').positions).toHaveLength(10000);
+  });
+
+  it('reads the CaCoFold panel of a helix', () => {
+    expect(decodeViewState('h:c12').helix).toEqual({ panel: 'cacofold', id: 12 });
+  });
+});
+
+describe('readUrlState and writeUrlState', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/family?tab=structure#intro');
+  });
+
+  it('keeps each viewer under its own hash parameter', () => {
+    writeUrlState('hash', 'RF00005', { type: 'rscape', layers: 2 });
+    writeUrlState('hash', 'RF00023', { type: 'cons' });
+    expect(window.location.hash).toBe('#intro&RF00005=t:rscape;l:2&RF00023=t:cons');
+    expect(readUrlState('hash', 'RF00005')).toEqual({ ...EMPTY, type: 'rscape', layers: 2 });
+    expect(readUrlState('hash', 'RF00023').type).toBe('cons');
+  });
+
+  it('replaces the viewer\'s earlier entry and drops it when there is nothing to keep', () => {
+    writeUrlState('hash', 'RF00005', { type: 'rscape' });
+    writeUrlState('hash', 'RF00005', { type: 'norm' });
+    expect(window.location.hash).toBe('#intro&RF00005=t:norm');
+    writeUrlState('hash', 'RF00005', {});
+    expect(window.location.hash).toBe('#intro');
+  });
+
+  it('uses the query string in query mode, leaving other parameters alone', () => {
+    writeUrlState('query', 'RF00005', { type: 'cov', positions: [1, 2, 3] });
+    expect(window.location.search).toBe('?tab=structure&RF00005=t:cov;p:1-3');
+    expect(window.location.hash).toBe('#intro');
+    expect(readUrlState('query', 'RF00005')).toMatchObject({ type: 'cov', positions: [1, 2, 3] });
+  });
+
+  it('escapes keys and values', () => {
+    writeUrlState('hash', 'my viewer', { type: 'a&b' });
+    expect(window.location.hash).toBe('#intro&my%20viewer=t:a%26b');
+    expect(readUrlState('hash', 'my viewer').type).toBe('a&b');
+  });
+
+  it('replaces the history entry unless asked to push, keeping its state object', () => {
+    window.history.replaceState({ route: 'family' }, '', window.location.href);
+    const { length } = window.history;
+    writeUrlState('hash', 'RF00005', { type: 'rscape' });
+    expect(window.history.length).toBe(length);
+    writeUrlState('hash', 'RF00005', { type: 'cons' }, { push: true });
+    expect(window.history.length).toBe(length + 1);
+    expect(window.history.state).toEqual({ route: 'family' });
+  });
+
+  it('returns null when the URL has no state for the viewer', () => {
+    expect(readUrlState('hash', 'RF00005')).toBeNull();
+    window.history.replaceState(null, '', '#RF00005=%E0%A4%A');
+    expect(readUrlState('hash', 'RF00005')).toBeNull();
+  });
+});
@@ -42,6 +42,7 @@ export default defineConfig(({ mode }) => {
         rollupOptions: {
           external: ['react', 'react-dom', 'prop-types', 'svg-pan-zoom'],
           output: {
+            exports: 'named',
             globals: {
               react: 'React',
               'react-dom': 'ReactDOM',